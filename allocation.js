@@ -0,0 +1,156 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Allocate a monetary total (dollars) proportionally across weights (e.g. tariff costs)
+ * using integer cents and the largest-remainder method so allocations sum exactly to total.
+ * Returns an array of strings formatted to two decimals (e.g. "12.34").
+ */
+export function allocateProportionalToCents(totalAmount, weights) {
+  const totalCents = Math.round(Number(totalAmount) * 100);
+  const weightNums = weights.map(w => Number(w) || 0);
+  const weightSum = weightNums.reduce((s, v) => s + v, 0);
+
+  if (totalCents === 0 || weightSum === 0) {
+    // Return zero for each weight if nothing to distribute or no weights
+    return weights.map(() => (0).toFixed(2));
+  }
+
+  // compute exact shares in cents (may be fractional), floor them, record fractions
+  const exactShares = weightNums.map(w => (w / weightSum) * totalCents);
+  const floorShares = exactShares.map(s => Math.floor(s));
+  const fractions = exactShares.map((s, i) => ({ i, frac: s - floorShares[i] }));
+
+  // Distribute remaining cents by largest fractional remainders
+  let assigned = floorShares.reduce((a, b) => a + b, 0);
+  let remainder = totalCents - assigned;
+  fractions.sort((a, b) => b.frac - a.frac);
+  for (let k = 0; k < remainder; k++) {
+    floorShares[fractions[k].i] += 1;
+  }
+
+  return floorShares.map(c => (c / 100).toFixed(2));
+}
+
+/**
+ * Divide a monetary total equally across items using integer cents and largest-remainder method.
+ * Returns an array of strings formatted to two decimals (e.g. "12.34").
+ */
+export function divideEquallyInCents(totalAmount, count) {
+  if (count === 0) return [];
+
+  const totalCents = Math.round(Number(totalAmount) * 100);
+  const perItem = Math.floor(totalCents / count);
+  const remainder = totalCents % count;
+
+  const shares = Array(count).fill(perItem);
+  // Distribute remaining cents to first items
+  for (let i = 0; i < remainder; i++) {
+    shares[i] += 1;
+  }
+
+  return shares.map(c => (c / 100).toFixed(2));
+}
+
+/**
+ * Allocation strategies keyed by name. Each one returns the per-item basis that
+ * freight and insurance are spread over; `null` means split equally.
+ */
+export const allocationStrategies = {
+  cost: items => items.map(item => parseFloat(item.cost || 0)),
+  weight: items => items.map(item => parseFloat(item.grossWt || 0)),
+  quantity: items => items.map(item => parseFloat(item.qty || 0)),
+  equal: () => null
+};
+
+/**
+ * Resolve the strategy a declaration uses. Without an explicit choice we keep the
+ * original behaviour: by cost when the declaration has a net cost, otherwise equal.
+ */
+export function resolveAllocationStrategy(declaration) {
+  if (declaration?.allocationStrategy) return declaration.allocationStrategy;
+  const netCost = parseFloat(declaration?.valuation?.netCost || 0);
+  return netCost > 0 ? 'cost' : 'equal';
+}
+
+export function isValidAllocationStrategy(name) {
+  return Object.prototype.hasOwnProperty.call(allocationStrategies, name);
+}
+
+// The charges spread over items: item field, its lock flag and the declared total
+const CHARGES = [
+  { field: 'freight', lockField: 'freightLocked', totalField: 'netFreight' },
+  { field: 'insurance', lockField: 'insuranceLocked', totalField: 'netInsurance' }
+];
+
+const lockedCentsOf = (items, field, lockField) => items
+  .filter(item => item[lockField])
+  .reduce((sum, item) => sum + Math.round(parseFloat(item[field] || 0) * 100), 0);
+
+/**
+ * Charges whose locked item amounts add up to more than the declaration's total, so the
+ * items could not sum to it. Returns `[{ charge, locked, total }]`, amounts as "12.34".
+ */
+export function findOverAllocatedCharges(items, declaration) {
+  if (!Array.isArray(items)) return [];
+  const valuation = declaration?.valuation || {};
+  return CHARGES.flatMap(({ field, lockField, totalField }) => {
+    const lockedCents = lockedCentsOf(items, field, lockField);
+    const totalCents = Math.round(Number(valuation[totalField] || 0) * 100);
+    return lockedCents > totalCents
+      ? [{ charge: field, locked: (lockedCents / 100).toFixed(2), total: (totalCents / 100).toFixed(2) }]
+      : [];
+  });
+}
+
+/**
+ * Spread one charge (freight or insurance) across items. Items whose lock flag is set
+ * keep their manual amount; the rest of the total is spread over the unlocked items.
+ * Callers reject locked amounts above the total first (see findOverAllocatedCharges).
+ */
+function allocateCharge(items, total, field, lockField, basis) {
+  const unlocked = [];
+  items.forEach((item, idx) => {
+    if (!item[lockField]) unlocked.push(idx);
+  });
+  const lockedCents = lockedCentsOf(items, field, lockField);
+
+  const remaining = Math.max(0, Math.round(Number(total) * 100) - lockedCents) / 100;
+  const unlockedBasis = basis ? unlocked.map(idx => basis[idx]) : null;
+  const hasBasis = unlockedBasis && unlockedBasis.some(w => w > 0);
+  const shares = hasBasis
+    ? allocateProportionalToCents(remaining, unlockedBasis)
+    : divideEquallyInCents(remaining, unlocked.length);
+
+  const result = items.map(item => (item[lockField]
+    ? parseFloat(item[field] || 0).toFixed(2)
+    : null));
+  unlocked.forEach((idx, k) => {
+    result[idx] = shares[k];
+  });
+  return result;
+}
+
+/**
+ * Recalculate freight and insurance for a declaration's items using its allocation
+ * strategy. Returns new item objects; items without an id are given one.
+ */
+export function allocateDeclarationItems(items, declaration) {
+  if (!Array.isArray(items) || items.length === 0) return [];
+
+  const strategy = resolveAllocationStrategy(declaration);
+  if (!isValidAllocationStrategy(strategy)) {
+    throw new Error(`Unknown allocation strategy "${strategy}".`);
+  }
+
+  const valuation = declaration?.valuation || {};
+  const basis = allocationStrategies[strategy](items);
+  const freightAlloc = allocateCharge(items, valuation.netFreight || 0, 'freight', 'freightLocked', basis);
+  const insuranceAlloc = allocateCharge(items, valuation.netInsurance || 0, 'insurance', 'insuranceLocked', basis);
+
+  return items.map((item, idx) => ({
+    ...item,
+    id: item.id || uuidv4(),
+    freight: freightAlloc[idx],
+    insurance: insuranceAlloc[idx]
+  }));
+}
@@ -0,0 +1,91 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Broker/consolidator profiles: the header values of a SADEntry file (who is filing, where
+ * the goods come from and go to, and which units the figures are in), kept in
+ * `db.data.brokerProfiles`. generate-xml takes a profile id and falls back to the default
+ * profile.
+ */
+
+// The values the SADEntry header used before profiles existed
+export const DEFAULT_BROKER_PROFILE = {
+  name: 'Novotrans',
+  importerNumber: '20738450',
+  address: '6371 NW 102nd Ave',
+  city: 'Doral',
+  state: 'FL',
+  postalCode: '33178',
+  country: 'USA',
+  exportCountry: 'USA',
+  importCountry: 'USA',
+  originCountry: 'USA',
+  regime: 'IM1',
+  billType: 'CONSOLIDATED',
+  weightUnit: 'LB',
+  volumeUnit: 'CF'
+};
+
+const PROFILE_FIELDS = Object.keys(DEFAULT_BROKER_PROFILE);
+const REQUIRED_FIELDS = ['name', 'importerNumber', 'exportCountry', 'importCountry', 'regime', 'billType', 'weightUnit', 'volumeUnit'];
+
+/**
+ * Check a profile body. Returns `[{ path, message }]`, empty when it is valid.
+ */
+export function validateBrokerProfile(profile) {
+  const errors = [];
+  PROFILE_FIELDS.forEach(field => {
+    const value = profile[field];
+    if (value !== undefined && typeof value !== 'string') {
+      errors.push({ path: field, message: 'must be string' });
+    } else if (REQUIRED_FIELDS.includes(field) && !value) {
+      errors.push({ path: field, message: 'is required' });
+    }
+  });
+  if (profile.isDefault !== undefined && typeof profile.isDefault !== 'boolean') {
+    errors.push({ path: 'isDefault', message: 'must be boolean' });
+  }
+  return errors;
+}
+
+export function buildBrokerProfile(fields, { id = uuidv4(), createdAt = new Date().toISOString() } = {}) {
+  const profile = { id };
+  PROFILE_FIELDS.forEach(field => {
+    profile[field] = fields[field] || '';
+  });
+  profile.isDefault = Boolean(fields.isDefault);
+  profile.createdAt = createdAt;
+  profile.updatedAt = new Date().toISOString();
+  return profile;
+}
+
+/**
+ * Make sure there is a default profile, creating one from the previously hard-coded header.
+ * Returns true when the data changed.
+ */
+export function seedDefaultBrokerProfile(data) {
+  data.brokerProfiles ||= [];
+  if (data.brokerProfiles.some(p => p.isDefault)) return false;
+
+  if (data.brokerProfiles.length > 0) {
+    data.brokerProfiles[0].isDefault = true;
+  } else {
+    data.brokerProfiles.push(buildBrokerProfile({ ...DEFAULT_BROKER_PROFILE, isDefault: true }));
+  }
+  return true;
+}
+
+// Only one profile is the default; setting it on one clears it on the others
+export function setDefaultBrokerProfile(data, profile) {
+  data.brokerProfiles.forEach(p => {
+    p.isDefault = p === profile;
+  });
+}
+
+/**
+ * The profile with the given id, or the default profile when no id is given.
+ */
+export function resolveBrokerProfile(data, profileId) {
+  const profiles = data.brokerProfiles || [];
+  if (profileId) return profiles.find(p => p.id === profileId) || null;
+  return profiles.find(p => p.isDefault) || null;
+}
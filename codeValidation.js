@@ -0,0 +1,48 @@
+/**
+ * Checks declaration item tariff codes against the tariff table: the code must exist,
+ * must be a leaf (not a "------" or "0101--" heading row), and the item's qty unit,
+ * when given, must match the tariff's unit.
+ */
+
+/**
+ * Validate each item's code. Returns one entry per item that has problems, each with the
+ * item's position, id, code and a list of `{ type, message }` issues.
+ */
+export function validateItemCodes(items, tariffs) {
+  const list = tariffs || [];
+  const byCode = new Map();
+  list.forEach(t => {
+    const code = String(t.code);
+    if (!byCode.has(code)) byCode.set(code, t);
+  });
+  const parentIds = new Set(list.filter(t => t.parentId).map(t => String(t.parentId)));
+
+  const results = [];
+  (items || []).forEach((item, index) => {
+    const issues = [];
+    const code = item.code == null ? '' : String(item.code).trim();
+    const tariff = code ? byCode.get(code) : null;
+
+    if (!code) {
+      issues.push({ type: 'missing-code', message: 'Item has no tariff code.' });
+    } else if (!tariff) {
+      issues.push({ type: 'unknown-code', message: `Tariff code "${code}" does not exist.` });
+    } else {
+      if (code.includes('-') || parentIds.has(String(tariff.id))) {
+        issues.push({ type: 'not-leaf', message: `Tariff code "${code}" is a heading, not a leaf code.` });
+      }
+      if (item.qtyUnit && tariff.unit && String(item.qtyUnit).toUpperCase() !== String(tariff.unit).toUpperCase()) {
+        issues.push({
+          type: 'unit-mismatch',
+          message: `Qty unit "${item.qtyUnit}" does not match tariff unit "${tariff.unit}".`
+        });
+      }
+    }
+
+    if (issues.length > 0) {
+      results.push({ index, itemId: item.id || null, code: code || null, issues });
+    }
+  });
+
+  return results;
+}
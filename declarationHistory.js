@@ -0,0 +1,77 @@
+/**
+ * Version history for declarations.
+ *
+ * Every write to a declaration appends an entry to `db.data.declarationHistory` holding a
+ * full snapshot of the declaration after the change (before it, for deletes), who made the
+ * change, when, and a field-level diff against the previous state.
+ */
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const joinPath = (base, key) => (base ? `${base}.${key}` : String(key));
+
+/**
+ * Field-level diff between two values. Arrays of objects with ids (such as items) are matched
+ * by id, so reordering does not show up as a change and paths read like `items[id=...].cost`.
+ */
+export function diffValues(before, after, path = '') {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].flatMap(key => diffValues(before[key], after[key], joinPath(path, key)));
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const keyedById = [...before, ...after].every(v => isPlainObject(v) && v.id != null);
+    if (keyedById) {
+      const beforeById = new Map(before.map(v => [String(v.id), v]));
+      const afterById = new Map(after.map(v => [String(v.id), v]));
+      const ids = new Set([...beforeById.keys(), ...afterById.keys()]);
+      return [...ids].flatMap(id =>
+        diffValues(beforeById.get(id), afterById.get(id), `${path}[id=${id}]`)
+      );
+    }
+
+    const length = Math.max(before.length, after.length);
+    const changes = [];
+    for (let i = 0; i < length; i++) {
+      changes.push(...diffValues(before[i], after[i], `${path}[${i}]`));
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  return [{ path, from: before === undefined ? null : before, to: after === undefined ? null : after }];
+}
+
+/**
+ * Append a version entry for a declaration. `before` is null for creates and `after` is
+ * null for deletes; any other fields passed (e.g. `restoredFrom`) are kept on the entry.
+ */
+export function recordVersion(data, { declarationId, action, actor, before, after, ...extra }) {
+  data.declarationHistory ||= [];
+  const previous = data.declarationHistory.filter(h => h.declarationId === declarationId);
+
+  const entry = {
+    declarationId,
+    version: previous.length + 1,
+    action,
+    actor: actor || 'anonymous',
+    timestamp: new Date().toISOString(),
+    ...extra,
+    changes: diffValues(before || {}, after || {}),
+    snapshot: structuredClone(after || before)
+  };
+  data.declarationHistory.push(entry);
+  return entry;
+}
+
+export function listVersions(data, declarationId) {
+  return (data.declarationHistory || [])
+    .filter(h => h.declarationId === declarationId)
+    .map(({ snapshot, ...meta }) => meta);
+}
+
+export function getVersion(data, declarationId, version) {
+  return (data.declarationHistory || [])
+    .find(h => h.declarationId === declarationId && h.version === Number(version)) || null;
+}
@@ -0,0 +1,109 @@
+import { statusOf } from './declarationStatus.js';
+import { normalizeTransportMode } from './transportModes.js';
+
+/**
+ * Filtering, sorting and pagination for GET /declarations.
+ */
+
+const SORT_FIELDS = {
+  billNumber: d => String(d.billNumber || '').toLowerCase(),
+  importerName: d => String(d.importer?.name || '').toLowerCase(),
+  createdAt: d => d.createdAt || ''
+};
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 500;
+
+/**
+ * Parse the query string. Returns `{ error }` when a parameter is invalid.
+ */
+export function parseDeclarationQuery(query) {
+  // Without a sort the declarations keep their stored (insertion) order
+  const sort = query.sort || null;
+  if (sort && !SORT_FIELDS[sort]) {
+    return { error: `Cannot sort by "${sort}". Use one of: ${Object.keys(SORT_FIELDS).join(', ')}.` };
+  }
+
+  const order = query.order === 'asc' ? 'asc' : query.order === 'desc' ? 'desc' : (sort === 'createdAt' ? 'desc' : 'asc');
+
+  const createdFrom = query.createdFrom ? new Date(query.createdFrom) : null;
+  const createdTo = query.createdTo ? new Date(query.createdTo) : null;
+  if ((createdFrom && Number.isNaN(createdFrom.getTime())) || (createdTo && Number.isNaN(createdTo.getTime()))) {
+    return { error: 'createdFrom and createdTo must be valid dates.' };
+  }
+  // A bare date as the upper bound includes the whole day
+  if (createdTo && /^\d{4}-\d{2}-\d{2}$/.test(query.createdTo)) {
+    createdTo.setUTCHours(23, 59, 59, 999);
+  }
+
+  const transportMode = query.transportMode ? normalizeTransportMode(query.transportMode) : null;
+  if (query.transportMode && !transportMode) {
+    return { error: `Unknown transport mode "${query.transportMode}".` };
+  }
+
+  if (query.assigned !== undefined && !['true', 'false'].includes(query.assigned)) {
+    return { error: 'assigned must be true or false.' };
+  }
+
+  return {
+    transportMode,
+    statuses: query.status ? String(query.status).split(',').map(s => s.trim()) : null,
+    importerId: query.importerId,
+    exporterId: query.exporterId,
+    billNumber: query.billNumber ? String(query.billNumber).toLowerCase() : null,
+    createdFrom: createdFrom ? createdFrom.toISOString() : null,
+    createdTo: createdTo ? createdTo.toISOString() : null,
+    assigned: query.assigned === 'true' ? true : query.assigned === 'false' ? false : null,
+    masterBillId: query.masterBillId || null,
+    sort,
+    order,
+    paginate: query.page !== undefined || query.pageSize !== undefined,
+    page: Math.max(1, parseInt(query.page, 10) || 1),
+    pageSize: Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE))
+  };
+}
+
+/**
+ * Apply parsed filters, sort and (when requested) pagination to a list of declarations.
+ * `assignments` maps declaration ids to the open master bill they are assigned to.
+ */
+export function queryDeclarations(declarations, options, assignments = new Map()) {
+  const filtered = declarations.filter(d => {
+    // Stored modes may be any accepted spelling ("OCEAN" and "SEA" are the same mode)
+    if (options.transportMode && normalizeTransportMode(d.transportMode) !== options.transportMode) return false;
+    if (options.statuses && !options.statuses.includes(statusOf(d))) return false;
+    if (options.importerId && String(d.importer?.id) !== String(options.importerId)) return false;
+    if (options.exporterId && String(d.exporter?.id) !== String(options.exporterId)) return false;
+    if (options.billNumber && !String(d.billNumber || '').toLowerCase().includes(options.billNumber)) return false;
+    if (options.createdFrom && !(d.createdAt && d.createdAt >= options.createdFrom)) return false;
+    if (options.createdTo && !(d.createdAt && d.createdAt <= options.createdTo)) return false;
+    if (typeof options.assigned === 'boolean' && assignments.has(d.id) !== options.assigned) return false;
+    if (options.masterBillId && assignments.get(d.id) !== options.masterBillId) return false;
+    return true;
+  });
+
+  if (options.sort) {
+    const key = SORT_FIELDS[options.sort];
+    const direction = options.order === 'desc' ? -1 : 1;
+    filtered.sort((a, b) => {
+      const ka = key(a);
+      const kb = key(b);
+      if (ka < kb) return -direction;
+      if (ka > kb) return direction;
+      return 0;
+    });
+  }
+
+  const total = filtered.length;
+  if (!options.paginate) {
+    return { declarations: filtered, total };
+  }
+
+  const start = (options.page - 1) * options.pageSize;
+  return {
+    declarations: filtered.slice(start, start + options.pageSize),
+    total,
+    page: options.page,
+    pageSize: options.pageSize
+  };
+}
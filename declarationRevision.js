@@ -0,0 +1,63 @@
+/**
+ * Optimistic concurrency for declarations.
+ *
+ * Every declaration carries a `revision` that goes up by one on each write and is sent to
+ * clients as the ETag. Writes must send it back in If-Match; a write based on an older
+ * revision is refused so the client can merge instead of overwriting someone else's work.
+ */
+
+// Declarations saved before revisions existed count as revision 1
+export function revisionOf(declaration) {
+  return declaration?.revision || 1;
+}
+
+export function etagOf(declaration) {
+  return `"${revisionOf(declaration)}"`;
+}
+
+/**
+ * Record a write on the declaration: bump its revision and update timestamp.
+ */
+export function bumpRevision(declaration, previousRevision = revisionOf(declaration)) {
+  declaration.revision = previousRevision + 1;
+  declaration.updatedAt = new Date().toISOString();
+  return declaration;
+}
+
+/**
+ * Compare an If-Match header with the declaration's current ETag. Returns `'missing'`,
+ * `'stale'` or null when the precondition holds. Weak validators are compared by value.
+ */
+export function checkIfMatch(ifMatch, declaration) {
+  if (!ifMatch) return 'missing';
+  if (ifMatch.trim() === '*') return null;
+
+  const current = etagOf(declaration);
+  const matches = ifMatch
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .some(tag => tag === current);
+  return matches ? null : 'stale';
+}
+
+// 3, "3" and the ETag form '"3"' (weak or not) all name revision 3
+const parseRevision = value => Number(String(value ?? '').trim().replace(/^W\//, '').replace(/"/g, '')) || null;
+
+/**
+ * Check the revisions a bulk write was based on, given as `{ [id]: revision }`. Returns the
+ * ids with no revision and the declarations whose revision has moved on since.
+ */
+export function checkRevisions(declarations, revisions) {
+  const given = revisions && typeof revisions === 'object' ? revisions : {};
+  const missingIds = [];
+  const stale = [];
+  declarations.forEach(declaration => {
+    const revision = parseRevision(given[declaration.id]);
+    if (revision === null) {
+      missingIds.push(declaration.id);
+    } else if (revision !== revisionOf(declaration)) {
+      stale.push({ id: declaration.id, revision: revisionOf(declaration) });
+    }
+  });
+  return { missingIds, stale };
+}
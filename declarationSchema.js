@@ -0,0 +1,146 @@
+import Ajv from 'ajv';
+import { allocationStrategies } from './allocation.js';
+
+/**
+ * JSON Schema for a stored declaration. Every declaration write is checked against it, and
+ * GET /schemas/declaration serves it so the frontend can validate with the same rules.
+ *
+ * Numeric fields accept numbers or numeric strings (forms and CSV uploads send strings);
+ * optional numeric fields may also be left as an empty string.
+ */
+
+const numeric = {
+  anyOf: [
+    { type: 'number' },
+    { type: 'string', pattern: '^-?\\d+(\\.\\d+)?$' }
+  ]
+};
+
+const optionalNumeric = {
+  anyOf: [
+    { type: 'number' },
+    { type: 'string', pattern: '^(-?\\d+(\\.\\d+)?)?$' }
+  ]
+};
+
+const idValue = { type: ['string', 'number'] };
+const text = { type: 'string' };
+const isoDate = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}' };
+
+export const declarationSchema = {
+  $id: 'declaration',
+  type: 'object',
+  required: ['importer', 'exporter', 'packages', 'valuation'],
+  properties: {
+    id: text,
+    billNumber: text,
+    transportMode: text,
+    arrivalDate: isoDate,
+    allocationStrategy: { type: 'string', enum: Object.keys(allocationStrategies) },
+    importer: {
+      type: 'object',
+      required: ['number'],
+      properties: {
+        id: idValue,
+        number: { type: 'string', minLength: 1 },
+        name: text
+      }
+    },
+    exporter: {
+      type: 'object',
+      properties: {
+        id: idValue,
+        number: text,
+        name: text,
+        address: text,
+        city: text,
+        state: text,
+        postalcode: text,
+        country: text,
+        phone: text
+      }
+    },
+    packages: {
+      type: 'object',
+      properties: {
+        pkgCount: optionalNumeric,
+        pkgType: text,
+        grossWt: optionalNumeric,
+        grossVol: optionalNumeric,
+        contents: text
+      }
+    },
+    valuation: {
+      type: 'object',
+      required: ['netCost', 'netFreight', 'netInsurance'],
+      properties: {
+        netCost: numeric,
+        netFreight: numeric,
+        netInsurance: numeric
+      }
+    },
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: idValue,
+          code: text,
+          desc: text,
+          qty: optionalNumeric,
+          qtyUnit: text,
+          cost: optionalNumeric,
+          freight: optionalNumeric,
+          insurance: optionalNumeric,
+          grossWt: optionalNumeric,
+          invNumber: text,
+          procedureCode: text,
+          freightLocked: { type: 'boolean' },
+          insuranceLocked: { type: 'boolean' }
+        }
+      }
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validate = ajv.compile(declarationSchema);
+
+// "/items/0/cost" -> "items[0].cost"
+function toFieldPath(instancePath, missingProperty) {
+  const segments = instancePath.split('/').filter(Boolean);
+  if (missingProperty) segments.push(missingProperty);
+  return segments.reduce(
+    (path, segment) => (/^\d+$/.test(segment) ? `${path}[${segment}]` : path ? `${path}.${segment}` : segment),
+    ''
+  );
+}
+
+/**
+ * Validate a declaration. Returns a list of `{ path, message }` errors, one per failing
+ * field path; an empty list means the declaration is valid.
+ */
+export function validateDeclaration(declaration) {
+  if (validate(declaration)) return [];
+
+  const errors = new Map();
+  validate.errors.forEach(error => {
+    // Each failed anyOf branch is reported too; the anyOf error itself summarises them
+    if (error.schemaPath.includes('/anyOf/')) return;
+
+    const path = toFieldPath(error.instancePath, error.params?.missingProperty) || '(root)';
+    if (errors.has(path)) return;
+
+    let message = error.message;
+    if (error.keyword === 'required' || error.keyword === 'minLength') message = 'is required';
+    if (error.keyword === 'anyOf') message = 'must be a number';
+    errors.set(path, { path, message });
+  });
+
+  return [...errors.values()];
+}
+
+export const validationErrorResponse = errors => ({
+  error: 'Declaration failed validation.',
+  errors
+});
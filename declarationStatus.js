@@ -0,0 +1,63 @@
+/**
+ * Declaration lifecycle: draft → ready → exported → accepted/rejected.
+ *
+ * Once a declaration has been included in a SADEntry file it is locked: edits and deletes
+ * are refused until it is explicitly reopened, which sends it back to draft.
+ */
+
+export const DECLARATION_STATUSES = ['draft', 'ready', 'exported', 'accepted', 'rejected'];
+
+// Allowed moves from each status; moving back to draft from a locked status is a reopen
+export const STATUS_TRANSITIONS = {
+  draft: ['ready'],
+  ready: ['draft', 'exported'],
+  exported: ['accepted', 'rejected', 'draft'],
+  accepted: ['draft'],
+  rejected: ['draft']
+};
+
+const LOCKED_STATUSES = ['exported', 'accepted', 'rejected'];
+
+// Declarations saved before statuses existed are treated as drafts
+export function statusOf(declaration) {
+  return declaration?.status || 'draft';
+}
+
+export function isLocked(declaration) {
+  return LOCKED_STATUSES.includes(statusOf(declaration));
+}
+
+export function canTransition(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Move a declaration to a new status in place. Returns an error message when the
+ * transition is not allowed, otherwise null.
+ */
+export function applyStatus(declaration, to) {
+  const from = statusOf(declaration);
+  if (!DECLARATION_STATUSES.includes(to)) {
+    return `Unknown status "${to}".`;
+  }
+  if (!canTransition(from, to)) {
+    return `Cannot move a declaration from "${from}" to "${to}".`;
+  }
+
+  declaration.status = to;
+  declaration.statusUpdatedAt = new Date().toISOString();
+  return null;
+}
+
+/**
+ * Mark a declaration as exported when it is written into a SADEntry file. Drafts that
+ * were never marked ready are exported too; already exported or settled ones are left alone.
+ * Returns true when the status changed.
+ */
+export function markExported(declaration) {
+  if (!['draft', 'ready'].includes(statusOf(declaration))) return false;
+
+  declaration.status = 'exported';
+  declaration.statusUpdatedAt = new Date().toISOString();
+  return true;
+}
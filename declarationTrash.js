@@ -0,0 +1,98 @@
+import { isOpen, findAssignmentConflicts, attachDeclarations, detachDeclarations } from './masterBills.js';
+
+/**
+ * Soft delete for declarations.
+ *
+ * Deleted declarations are moved out of `db.data.declarations` into
+ * `db.data.declarationTrash` with a deletion timestamp, so they drop out of every list and
+ * export but can be restored until they are purged, either by hand or automatically once
+ * they are older than the retention period.
+ *
+ * A trashed declaration is taken off the open master bill it was assigned to, which is
+ * remembered in `masterBillId` so a restore can put it back.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Move the declarations with the given ids into the trash. Returns the trashed entries.
+ */
+export function moveToTrash(data, ids, actor) {
+  data.declarationTrash ||= [];
+  const deletedAt = new Date().toISOString();
+  const trashed = [];
+
+  data.declarations = data.declarations.filter(declaration => {
+    if (!ids.includes(declaration.id)) return true;
+    const masterBill = (data.masterBills || [])
+      .find(m => isOpen(m) && detachDeclarations(m, [declaration.id]).length > 0);
+    const entry = { ...declaration, deletedAt, deletedBy: actor || 'anonymous' };
+    if (masterBill) entry.masterBillId = masterBill.id;
+    data.declarationTrash.push(entry);
+    trashed.push(entry);
+    return false;
+  });
+
+  return trashed;
+}
+
+/**
+ * Move declarations back from the trash. Ids that are not in the trash, or whose id is
+ * already taken by a live declaration, are reported as skipped. A declaration goes back on
+ * the master bill it was taken off if that is still open and nothing else has claimed it;
+ * otherwise it comes back unassigned and its id is reported in `unassigned`.
+ */
+export function restoreFromTrash(data, ids) {
+  data.declarationTrash ||= [];
+  const restored = [];
+  const skipped = [];
+  const unassigned = [];
+
+  ids.forEach(id => {
+    const index = data.declarationTrash.findIndex(d => d.id === id);
+    if (index === -1 || data.declarations.some(d => d.id === id)) {
+      skipped.push(id);
+      return;
+    }
+    const [entry] = data.declarationTrash.splice(index, 1);
+    const { deletedAt, deletedBy, masterBillId, ...declaration } = entry;
+    data.declarations.push(declaration);
+    restored.push(declaration);
+
+    if (!masterBillId) return;
+    const masterBill = (data.masterBills || []).find(m => m.id === masterBillId);
+    if (masterBill && isOpen(masterBill) && findAssignmentConflicts(data, [id], masterBillId).length === 0) {
+      attachDeclarations(masterBill, [id]);
+    } else {
+      unassigned.push(id);
+    }
+  });
+
+  return { restored, skipped, unassigned };
+}
+
+/**
+ * Permanently remove declarations from the trash, along with their version history, whose
+ * snapshots would otherwise keep the data and let a history restore bring them back.
+ * Returns the purged entries.
+ */
+export function purgeFromTrash(data, ids) {
+  data.declarationTrash ||= [];
+  const purged = data.declarationTrash.filter(d => ids.includes(d.id));
+  const purgedIds = purged.map(d => d.id);
+  data.declarationTrash = data.declarationTrash.filter(d => !purgedIds.includes(d.id));
+  if (data.declarationHistory) {
+    data.declarationHistory = data.declarationHistory.filter(h => !purgedIds.includes(h.declarationId));
+  }
+  return purged;
+}
+
+/**
+ * Ids of trashed declarations deleted longer ago than the retention period.
+ */
+export function expiredTrashIds(data, retentionDays, now = Date.now()) {
+  const cutoff = now - retentionDays * DAY_MS;
+  return (data.declarationTrash || [])
+    .filter(d => new Date(d.deletedAt).getTime() < cutoff)
+    .map(d => d.id);
+}
@@ -0,0 +1,126 @@
+/**
+ * Duty calculation driven by the tariff table.
+ *
+ * Tariff rows carry a `duty` rate and a `dutyMethod`: `%` means an ad-valorem rate applied
+ * to the item's CIF value (cost + freight + insurance); anything else (LITRE, LB, GAL, ...)
+ * is a specific rate charged per unit of quantity. Rows without a `dutyMethod` (everything
+ * imported before it was kept) are reported as `no-method` rather than guessed at, and like
+ * other unresolved items they add nothing to the duty total.
+ */
+
+// Specific-rate methods that are quoted per multiple of the quantity unit
+const SPECIFIC_RATE_DIVISORS = {
+  THOU: 1000
+};
+
+const toCents = value => Math.round((parseFloat(value) || 0) * 100);
+const formatCents = cents => (cents / 100).toFixed(2);
+
+// Lookups are cached per tariff list so declarations on the same schedule share one map
+const tariffMapCache = new WeakMap();
+
+/**
+ * Build a lookup of tariff definitions by code. The first row for a code wins, matching
+ * how items are resolved when the XML is generated.
+ */
+export function buildTariffMap(tariffs) {
+  const list = tariffs || [];
+  if (tariffMapCache.has(list)) return tariffMapCache.get(list);
+
+  const map = new Map();
+  list.forEach(tariff => {
+    const code = String(tariff.code);
+    if (!map.has(code)) map.set(code, tariff);
+  });
+  tariffMapCache.set(list, map);
+  return map;
+}
+
+/**
+ * Work out the duty owed on a single declaration item.
+ */
+export function assessItem(item, tariffDef) {
+  const cifCents = toCents(item.cost) + toCents(item.freight) + toCents(item.insurance);
+  const result = {
+    itemId: item.id,
+    code: item.code,
+    cif: formatCents(cifCents),
+    dutyMethod: null,
+    rate: null,
+    unit: tariffDef?.unit || null,
+    duty: formatCents(0),
+    status: 'ok'
+  };
+
+  if (!tariffDef) {
+    result.status = 'unknown-code';
+    return result;
+  }
+
+  const rate = parseFloat(tariffDef.duty);
+  if (tariffDef.duty === '' || tariffDef.duty == null || Number.isNaN(rate)) {
+    result.status = 'no-rate';
+    return result;
+  }
+
+  result.rate = String(tariffDef.duty);
+  const method = tariffDef.dutyMethod;
+  if (!method) {
+    result.status = 'no-method';
+    return result;
+  }
+  result.dutyMethod = method;
+
+  if (method === '%') {
+    result.duty = formatCents(Math.round(cifCents * rate / 100));
+  } else {
+    const qty = parseFloat(item.qty) || 0;
+    const divisor = SPECIFIC_RATE_DIVISORS[method] || 1;
+    result.duty = formatCents(Math.round((qty / divisor) * rate * 100));
+  }
+
+  return result;
+}
+
+/**
+ * Assess every item on a declaration and roll the figures up to declaration totals.
+ */
+export function assessDeclaration(declaration, tariffMap) {
+  const items = (declaration.items || []).map(item =>
+    assessItem(item, tariffMap.get(String(item.code)))
+  );
+
+  const totalCif = items.reduce((sum, i) => sum + toCents(i.cif), 0);
+  const totalDuty = items.reduce((sum, i) => sum + toCents(i.duty), 0);
+
+  return {
+    declarationId: declaration.id,
+    billNumber: declaration.billNumber,
+    items,
+    totals: {
+      cif: formatCents(totalCif),
+      duty: formatCents(totalDuty)
+    },
+    unresolvedItems: items.filter(i => i.status !== 'ok').length
+  };
+}
+
+/**
+ * Roll the assessments of a master bill's house declarations up to master totals.
+ * `tariffMapFor` returns the tariff lookup that applies to a given declaration.
+ */
+export function assessMasterBill(masterBill, declarations, tariffMapFor) {
+  const houses = declarations.map(d => assessDeclaration(d, tariffMapFor(d)));
+  const totalCif = houses.reduce((sum, h) => sum + toCents(h.totals.cif), 0);
+  const totalDuty = houses.reduce((sum, h) => sum + toCents(h.totals.duty), 0);
+
+  return {
+    masterBillId: masterBill?.id || null,
+    declarations: houses,
+    totals: {
+      cif: formatCents(totalCif),
+      duty: formatCents(totalDuty)
+    },
+    unresolvedItems: houses.reduce((sum, h) => sum + h.unresolvedItems, 0)
+  };
+}
@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import { xml2js } from 'xml-js';
+import { v4 as uuidv4 } from 'uuid';
+import { elementPath } from './sadEntryValidation.js';
+
+/**
+ * Archive of generated files, kept in `db.data.exportArchive`.
+ *
+ * Every generated document is stored as sent, with the master bill and the declaration
+ * revisions it was built from, its SHA-256 hash and who generated and downloaded it, so a
+ * past submission can be produced and checked byte for byte.
+ */
+
+export const sha256 = contents => crypto.createHash('sha256').update(contents).digest('hex');
+
+/**
+ * Store a generated document. Returns the archive entry.
+ */
+export function archiveExport(data, {
+  masterBillId,
+  declarations,
+  contents,
+  fileName,
+  contentType = 'application/xml',
+  format = 'sadentry',
+  actor,
+  generatedAt = new Date().toISOString()
+}) {
+  data.exportArchive ||= [];
+  const entry = {
+    id: uuidv4(),
+    format,
+    fileName,
+    contentType,
+    masterBillId,
+    declarations: declarations.map(d => ({ id: d.id, billNumber: d.billNumber || null, revision: d.revision || 1 })),
+    sha256: sha256(contents),
+    size: Buffer.byteLength(contents),
+    generatedAt,
+    generatedBy: actor || 'anonymous',
+    downloads: [],
+    contents
+  };
+  data.exportArchive.push(entry);
+  return entry;
+}
+
+// The most recent export of a master bill in the given format
+export function latestExportOf(data, masterBillId, format = 'sadentry') {
+  return (data.exportArchive || [])
+    .filter(e => e.masterBillId === masterBillId && e.format === format)
+    .pop() || null;
+}
+
+// Metadata only, for lists
+export function summarizeExport(entry) {
+  const { contents, downloads, ...summary } = entry;
+  return { ...summary, downloadCount: (downloads || []).length };
+}
+
+export function recordDownload(entry, actor) {
+  entry.downloads ||= [];
+  entry.downloads.push({ at: new Date().toISOString(), by: actor || 'anonymous' });
+}
+
+/**
+ * Flatten an XML document to `path -> text` for its leaf elements, with paths like
+ * "SADEntry/ConsolidatedShipment/ConsolidatedItem[1]/Items[2]/Cost".
+ */
+export function flattenXml(contents) {
+  const values = new Map();
+
+  const visit = (node, path) => {
+    Object.entries(node).forEach(([name, value]) => {
+      if (name.startsWith('_')) return;
+      const list = Array.isArray(value) ? value : [value];
+      list.forEach((child, index) => {
+        const childPath = elementPath(path, name, index + 1);
+        const hasChildren = Object.keys(child).some(key => !key.startsWith('_'));
+        if (hasChildren) {
+          visit(child, childPath);
+        } else {
+          values.set(childPath, child._text ?? '');
+        }
+      });
+    });
+  };
+
+  visit(xml2js(contents, { compact: true }), '');
+  return values;
+}
+
+/**
+ * Differences between two archived exports: the declarations and revisions they were built
+ * from, and element by element for XML documents.
+ */
+export function compareExports(from, to) {
+  const fromDeclarations = new Map(from.declarations.map(d => [d.id, d]));
+  const toDeclarations = new Map(to.declarations.map(d => [d.id, d]));
+
+  const declarations = {
+    added: to.declarations.filter(d => !fromDeclarations.has(d.id)).map(d => d.id),
+    removed: from.declarations.filter(d => !toDeclarations.has(d.id)).map(d => d.id),
+    revised: to.declarations
+      .filter(d => fromDeclarations.has(d.id) && fromDeclarations.get(d.id).revision !== d.revision)
+      .map(d => ({ id: d.id, from: fromDeclarations.get(d.id).revision, to: d.revision }))
+  };
+
+  let elements = null;
+  if (from.contentType === 'application/xml' && to.contentType === 'application/xml') {
+    const before = flattenXml(from.contents);
+    const after = flattenXml(to.contents);
+    elements = { added: [], removed: [], changed: [] };
+    after.forEach((value, path) => {
+      if (!before.has(path)) elements.added.push({ path, value });
+      else if (before.get(path) !== value) elements.changed.push({ path, from: before.get(path), to: value });
+    });
+    before.forEach((value, path) => {
+      if (!after.has(path)) elements.removed.push({ path, value });
+    });
+  }
+
+  return {
+    from: summarizeExport(from),
+    to: summarizeExport(to),
+    identical: from.sha256 === to.sha256,
+    declarations,
+    elements
+  };
+}
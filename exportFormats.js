@@ -0,0 +1,46 @@
+import { sadEntryFormat } from './sadEntryFormat.js';
+import { manifestCsvFormat } from './manifestCsvFormat.js';
+import { jsonExportFormat } from './jsonExportFormat.js';
+import { xlsxExportFormat } from './xlsxExportFormat.js';
+
+/**
+ * Output formats for POST /exports/:format.
+ *
+ * A format is a module exporting an object with:
+ * - `name`: the `:format` in the URL
+ * - `label`, `contentType` and `fileName` for listings and downloads
+ * - `submission: true` for a document filed with customs; producing one creates or updates
+ *   the master bill, marks its declarations exported and archives the file. Other formats
+ *   are renderings of the selection and change nothing
+ * - `render({ declarations, masterBill, profile, generatedAt, tariffMapFor })`, returning the
+ *   file as a string or Buffer (or a promise of one)
+ * - optionally `validate(contents, { data, declarations })`, resolving to
+ *   `{ valid, error, errors }`; nothing is saved when a document is not valid
+ *
+ * A new layout is added by writing such a module and registering it below.
+ */
+
+const formats = new Map();
+
+export function registerExportFormat(format) {
+  if (!format?.name || typeof format.render !== 'function') {
+    throw new Error('An export format needs a name and a render function.');
+  }
+  formats.set(format.name.toLowerCase(), format);
+}
+
+export function findExportFormat(name) {
+  return formats.get(String(name || '').toLowerCase()) || null;
+}
+
+export function listExportFormats() {
+  return [...formats.values()].map(({ name, label, contentType, fileName, submission }) => ({
+    name,
+    label,
+    contentType,
+    fileName,
+    submission: Boolean(submission)
+  }));
+}
+
+[sadEntryFormat, manifestCsvFormat, jsonExportFormat, xlsxExportFormat].forEach(registerExportFormat);
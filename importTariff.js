@@ -2,38 +2,52 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import csv from 'csv-parser';
-import { Low } from 'lowdb';
-import { JSONFile } from 'lowdb/node';
+import { v4 as uuidv4 } from 'uuid';
+import { tariffFromCsvRow, toIsoDate, checkScheduleStart } from './tariffSchedules.js';
+import { openStorage } from './storage.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const dbFile = path.join(__dirname, 'db.json');
-const csvFile = path.join(__dirname, 'tariffs.csv');
-
-// Create adapter and database
-const adapter = new JSONFile(dbFile);
-const db = new Low(adapter, { tariffs: [] }); // set default data here
+// Usage: node importTariff.js [csvFile] [scheduleName] [effectiveFrom] [effectiveTo]
+const [csvArg, nameArg, fromArg, toArg] = process.argv.slice(2);
+const csvFile = path.resolve(__dirname, csvArg || 'tariffs.csv');
 
 async function importTariffs() {
-  await db.read();
+  // Writes to whichever backend STORAGE_BACKEND selects, like the server
+  const storage = await openStorage({
+    dbFile: path.join(__dirname, 'db.json'),
+    defaultData: { tariffs: [], tariffSchedules: [] }
+  });
+  const { db } = storage;
+  db.data.tariffSchedules ||= [];
   const tariffs = [];
 
+  const effectiveFrom = toIsoDate(fromArg) || new Date().toISOString().split('T')[0];
+  const startError = checkScheduleStart(db.data.tariffSchedules, effectiveFrom);
+  if (startError) {
+    console.error(startError);
+    process.exit(1);
+  }
+
   fs.createReadStream(csvFile)
     .pipe(csv())
     .on('data', (row) => {
-      tariffs.push({
-        id: Date.now() + Math.random(), // simple unique ID
-        code: row.code,
-        description: row.description,
-        duty: row.duty,
-        unit: row.unit
-      });
+      tariffs.push(tariffFromCsvRow(row));
     })
     .on('end', async () => {
-      db.data.tariffs = tariffs;
-      await db.write();
-      console.log('Tariffs imported successfully!');
+      // Add a new schedule version instead of overwriting the table past declarations rely on
+      db.data.tariffSchedules.push({
+        id: uuidv4(),
+        name: nameArg || path.basename(csvFile, '.csv'),
+        effectiveFrom,
+        effectiveTo: toIsoDate(toArg),
+        createdAt: new Date().toISOString(),
+        tariffs
+      });
+      await storage.commit(db);
+      await storage.close();
+      console.log(`Tariff schedule effective from ${effectiveFrom} imported successfully!`);
     });
 }
 
@@ -2,21 +2,17 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import csv from 'csv-parser';
-import { Low } from 'lowdb';
-import { JSONFile } from 'lowdb/node';
+import { openStorage } from './storage.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const dbFile = path.join(__dirname, 'users.json');
 const csvFile = path.join(__dirname, 'users.csv');
 
-// Create adapter and database
-const adapter = new JSONFile(dbFile);
-const db = new Low(adapter, { users: [] }); // set default data here
-
 async function importUsers() {
-  await db.read();
+  // Writes to whichever backend STORAGE_BACKEND selects, like the server
+  const storage = await openStorage({ usersFile: path.join(__dirname, 'users.json') });
+  const db = storage.usersDb;
   const users = [];
   let idx = 1;
   fs.createReadStream(csvFile)
@@ -31,7 +27,8 @@ async function importUsers() {
     })
     .on('end', async () => {
       db.data.users = users;
-      await db.write();
+      await storage.commit(db);
+      await storage.close();
       console.log('Users imported successfully!');
     });
 }
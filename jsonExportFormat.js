@@ -0,0 +1,23 @@
+/**
+ * The selection as one JSON document: the broker profile used for the header, the master bill
+ * and its house declarations as stored.
+ */
+
+// The generation record is a copy of the previous export; it is not part of this one
+const withoutGeneration = ({ generation, ...masterBill }) => masterBill;
+
+export const jsonExportFormat = {
+  name: 'json',
+  label: 'JSON document',
+  contentType: 'application/json',
+  fileName: 'manifest.json',
+
+  render({ declarations, masterBill, profile, generatedAt }) {
+    return JSON.stringify({
+      generatedAt,
+      profile,
+      masterBill: withoutGeneration(masterBill),
+      declarations
+    }, null, 2);
+  }
+};
@@ -0,0 +1,69 @@
+import { Low } from 'lowdb';
+import { JSONFile } from 'lowdb/node';
+import { createStoreCoordinator } from './storeCoordinator.js';
+
+// The lookups of the storage interface, answered from a fresh read() of db.json
+function createFinder(db) {
+  const collection = async name => {
+    await db.read();
+    return db.data[name] || [];
+  };
+
+  return {
+    async declaration(id) {
+      return (await collection('declarations')).find(d => d.id === id) || null;
+    },
+    async declarations({ importerId, billNumber } = {}) {
+      const needle = billNumber ? String(billNumber).toLowerCase() : null;
+      return (await collection('declarations')).filter(d =>
+        (importerId == null || String(d.importer?.id) === String(importerId))
+        && (!needle || String(d.billNumber || '').toLowerCase().includes(needle))
+      );
+    },
+    async exporters({ importerId } = {}) {
+      return (await collection('exporters')).filter(e => String(e.uid) === String(importerId));
+    },
+    async tariff(code, scheduleId = null) {
+      await db.read();
+      const tariffs = scheduleId == null
+        ? db.data.tariffs
+        : (db.data.tariffSchedules || []).find(s => String(s.id) === String(scheduleId))?.tariffs;
+      return (tariffs || []).find(t => String(t.code) === String(code)) || null;
+    }
+  };
+}
+
+/**
+ * JSON file storage: the collections live in db.json and the users in users.json, read in
+ * full by `read()` and written in full by `commit()`.
+ */
+export async function openLowdbStorage({
+  dbFile = 'db.json',
+  usersFile = 'users.json',
+  defaultData = {},
+  usersDefaultData = { users: [] }
+} = {}) {
+  const db = new Low(new JSONFile(dbFile), defaultData);
+  const usersDb = new Low(new JSONFile(usersFile), usersDefaultData);
+
+  // Requests are handled one at a time against the stores, and writes go through commit()
+  // so that changes to db.json and users.json land together or not at all
+  const stores = createStoreCoordinator([
+    { db, file: dbFile },
+    { db: usersDb, file: usersFile }
+  ]);
+  stores.recover();
+
+  await db.read();
+  await usersDb.read();
+
+  return {
+    backend: 'lowdb',
+    db,
+    usersDb,
+    run: stores.run,
+    commit: (...dbs) => stores.commit(...dbs),
+    find: createFinder(db),
+    close: async () => {}
+  };
+}
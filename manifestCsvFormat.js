@@ -0,0 +1,84 @@
+import { stringify } from 'csv-stringify/sync';
+
+/**
+ * Flat CSV manifest: one row per item, repeating the master bill and house bill fields on each
+ * row. A house bill without items still gets a row. The house bill columns use the names
+ * /declarations/upload-csv reads.
+ */
+
+const COLUMNS = [
+  'masterBillNumber',
+  'transportMode',
+  'billNumber',
+  'importerNumber',
+  'importerName',
+  'exporterNumber',
+  'exporterName',
+  'packageCount',
+  'packageType',
+  'grossWeight',
+  'grossVolume',
+  'contents',
+  'netCost',
+  'netFreight',
+  'netInsurance',
+  'itemCode',
+  'itemDesc',
+  'itemQty',
+  'itemQtyUnit',
+  'itemCost',
+  'itemFreight',
+  'itemInsurance',
+  'itemInvNumber',
+  'itemProcedureCode'
+];
+
+function houseColumns(declaration, masterBill) {
+  return {
+    masterBillNumber: masterBill.shipment?.billNumber,
+    transportMode: declaration.transportMode || masterBill.consignment?.transportMode,
+    billNumber: declaration.billNumber,
+    importerNumber: declaration.importer?.number,
+    importerName: declaration.importer?.name,
+    exporterNumber: declaration.exporter?.number,
+    exporterName: declaration.exporter?.name,
+    packageCount: declaration.packages?.pkgCount,
+    packageType: declaration.packages?.pkgType,
+    grossWeight: declaration.packages?.grossWt,
+    grossVolume: declaration.packages?.grossVol,
+    contents: declaration.packages?.contents,
+    netCost: declaration.valuation?.netCost,
+    netFreight: declaration.valuation?.netFreight,
+    netInsurance: declaration.valuation?.netInsurance
+  };
+}
+
+function itemColumns(item) {
+  return {
+    itemCode: item.code,
+    itemDesc: item.desc,
+    itemQty: item.qty,
+    itemQtyUnit: item.qtyUnit,
+    itemCost: item.cost,
+    itemFreight: item.freight,
+    itemInsurance: item.insurance,
+    itemInvNumber: item.invNumber,
+    itemProcedureCode: item.procedureCode
+  };
+}
+
+export const manifestCsvFormat = {
+  name: 'csv',
+  label: 'CSV manifest',
+  contentType: 'text/csv',
+  fileName: 'manifest.csv',
+
+  render({ declarations, masterBill }) {
+    const rows = declarations.flatMap(declaration => {
+      const house = houseColumns(declaration, masterBill);
+      const items = declaration.items || [];
+      return items.length > 0 ? items.map(item => ({ ...house, ...itemColumns(item) })) : [house];
+    });
+    return stringify(rows, { header: true, columns: COLUMNS });
+  }
+};
@@ -0,0 +1,145 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Master bills, kept as a list in `db.data.masterBills`.
+ *
+ * Each master bill lists the declarations it consolidates in `declarationIds`. When its XML
+ * is generated, the master bill fields, the declarations, the broker profile and the
+ * generation time are copied into `generation`, a record of what was filed even after the
+ * declarations have been reopened and edited. The file itself is kept in the export archive.
+ *
+ * A declaration belongs to at most one open master bill at a time. Closing a master bill
+ * releases its declarations.
+ */
+
+// Fields the server sets; they are ignored in create and update bodies
+export const MASTER_BILL_MANAGED_FIELDS = ['id', 'createdAt', 'updatedAt', 'status', 'generation'];
+
+export const MASTER_BILL_STATUSES = ['open', 'closed'];
+
+// Master bills saved before statuses existed are open
+export function isOpen(masterBill) {
+  return (masterBill.status || 'open') === 'open';
+}
+
+function withoutManagedFields(fields) {
+  const copy = { ...fields };
+  MASTER_BILL_MANAGED_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+}
+
+/**
+ * Move the single `masterBill` object older data stored into the list (see
+ * migrateMasterBills.js). Returns true when the data changed.
+ */
+export function adoptLegacyMasterBill(data) {
+  data.masterBills ||= [];
+  if (!('masterBill' in data)) return false;
+
+  const legacy = data.masterBill;
+  delete data.masterBill;
+  if (legacy?.id && !data.masterBills.some(m => m.id === legacy.id)) {
+    data.masterBills.push(legacy);
+  }
+  return true;
+}
+
+export function createMasterBill(fields, declarationIds = []) {
+  const now = new Date().toISOString();
+  return {
+    ...withoutManagedFields(fields),
+    id: uuidv4(),
+    createdAt: now,
+    updatedAt: now,
+    status: 'open',
+    declarationIds
+  };
+}
+
+/**
+ * Replace a master bill's fields, keeping its id, creation time, status and generation record, and
+ * its declarations unless new ones are given.
+ */
+export function updateMasterBill(masterBill, fields) {
+  const { id, createdAt, status, generation, declarationIds } = masterBill;
+  Object.keys(masterBill).forEach(key => delete masterBill[key]);
+  Object.assign(masterBill, withoutManagedFields(fields), {
+    id,
+    createdAt,
+    updatedAt: new Date().toISOString(),
+    status: status || 'open',
+    declarationIds: fields.declarationIds || declarationIds || []
+  });
+  if (generation) masterBill.generation = generation;
+  return masterBill;
+}
+
+/**
+ * Remember what went into the master bill's XML, including the broker profile of its
+ * header.
+ */
+export function recordGeneration(masterBill, declarations, { profile = null, generatedAt = new Date().toISOString() } = {}) {
+  const { generation, ...fields } = masterBill;
+  masterBill.generation = {
+    generatedAt,
+    masterBill: structuredClone(fields),
+    declarations: structuredClone(declarations),
+    profile: structuredClone(profile)
+  };
+  masterBill.updatedAt = generatedAt;
+  return masterBill.generation;
+}
+
+// List view: the generation record without its copies of the data
+export function summarizeMasterBill(masterBill) {
+  const { generation, ...fields } = masterBill;
+  return {
+    ...fields,
+    generatedAt: generation?.generatedAt || null
+  };
+}
+
+// The most recently created master bill
+export function latestMasterBill(data) {
+  const masterBills = data.masterBills || [];
+  return masterBills[masterBills.length - 1] || null;
+}
+
+/**
+ * Declaration id -> id of the open master bill it is assigned to.
+ */
+export function assignmentsOf(data) {
+  const assignments = new Map();
+  (data.masterBills || []).filter(isOpen).forEach(masterBill => {
+    (masterBill.declarationIds || []).forEach(id => assignments.set(id, masterBill.id));
+  });
+  return assignments;
+}
+
+/**
+ * Declarations among `declarationIds` already assigned to an open master bill other than
+ * `masterBillId`. Returns `[{ declarationId, masterBillId }]`.
+ */
+export function findAssignmentConflicts(data, declarationIds, masterBillId = null) {
+  const assignments = assignmentsOf(data);
+  return declarationIds
+    .filter(id => assignments.has(id) && assignments.get(id) !== masterBillId)
+    .map(id => ({ declarationId: id, masterBillId: assignments.get(id) }));
+}
+
+// Add declarations to a master bill, skipping ones already on it. Returns the ids added.
+export function attachDeclarations(masterBill, declarationIds) {
+  masterBill.declarationIds ||= [];
+  const added = [...new Set(declarationIds)].filter(id => !masterBill.declarationIds.includes(id));
+  masterBill.declarationIds.push(...added);
+  if (added.length > 0) masterBill.updatedAt = new Date().toISOString();
+  return added;
+}
+
+// Remove declarations from a master bill. Returns the ids removed.
+export function detachDeclarations(masterBill, declarationIds) {
+  const removed = (masterBill.declarationIds || []).filter(id => declarationIds.includes(id));
+  masterBill.declarationIds = (masterBill.declarationIds || []).filter(id => !declarationIds.includes(id));
+  if (removed.length > 0) masterBill.updatedAt = new Date().toISOString();
+  return removed;
+}
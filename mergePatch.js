@@ -0,0 +1,22 @@
+/**
+ * JSON Merge Patch (RFC 7386): objects in the patch are merged recursively, `null` removes
+ * a member, and any other value (including arrays) replaces the target value outright.
+ */
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) return structuredClone(patch);
+
+  const result = isPlainObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+  return result;
+}
+
+export { isPlainObject };
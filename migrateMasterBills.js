@@ -0,0 +1,30 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { openStorage } from './storage.js';
+import { adoptLegacyMasterBill } from './masterBills.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Usage: node migrateMasterBills.js
+// Moves the single `masterBill` object older data kept into the `masterBills` list, in
+// whichever backend STORAGE_BACKEND selects. Data that has already been migrated is left alone.
+async function migrate() {
+  const storage = await openStorage({ dbFile: path.join(__dirname, 'db.json') });
+  const { db } = storage;
+
+  const hadMasterBill = Boolean(db.data.masterBill?.id);
+  if (!adoptLegacyMasterBill(db.data)) {
+    console.log('No legacy master bill found; nothing to migrate.');
+    await storage.close();
+    return;
+  }
+
+  await storage.commit(db);
+  await storage.close();
+  console.log(hadMasterBill
+    ? 'Moved the legacy master bill into the master bills list.'
+    : 'Removed the empty legacy master bill.');
+}
+
+migrate();
@@ -0,0 +1,46 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { openLowdbStorage } from './lowdbStorage.js';
+import { openSqliteStorage } from './sqliteStorage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Usage: node migrateToSqlite.js [sqliteFile] [--force]
+// Copies everything in db.json and users.json into a SQLite database. Refuses to touch a
+// database that already holds data unless --force is given, which replaces its contents.
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const sqliteFile = path.resolve(__dirname, args.find(arg => arg !== '--force') || process.env.SQLITE_FILE || 'db.sqlite');
+
+async function migrate() {
+  const source = await openLowdbStorage({
+    dbFile: path.join(__dirname, 'db.json'),
+    usersFile: path.join(__dirname, 'users.json')
+  });
+  const target = await openSqliteStorage({ file: sqliteFile });
+
+  const { data } = target.db;
+  const hasData = ['declarations', 'exporters', 'tariffs', 'tariffSchedules', 'masterBills'].some(name => data[name]?.length)
+    || target.usersDb.data.users?.length;
+  if (hasData && !force) {
+    console.error(`${sqliteFile} already contains data. Re-run with --force to replace it.`);
+    await target.close();
+    process.exit(1);
+  }
+
+  target.db.data = source.db.data;
+  target.usersDb.data = source.usersDb.data;
+  await target.commit(target.db, target.usersDb);
+  await target.close();
+
+  const count = list => (Array.isArray(list) ? list.length : 0);
+  console.log(`Migrated to ${sqliteFile}:`);
+  console.log(`  ${count(source.db.data.declarations)} declarations`);
+  console.log(`  ${count(source.db.data.exporters)} exporters`);
+  console.log(`  ${count(source.usersDb.data.users)} users`);
+  console.log(`  ${count(source.db.data.tariffs)} tariffs, ${count(source.db.data.tariffSchedules)} tariff schedules`);
+  console.log(`  ${count(source.db.data.masterBills)} master bills`);
+}
+
+migrate();
@@ -0,0 +1,107 @@
+/**
+ * Dry-run checks for POST /generate-xml/preflight.
+ *
+ * The report groups issues by the master bill and by declaration. Errors would make the
+ * SADEntry file unusable; warnings are worth a look but do not stop generation. Each issue
+ * is `{ check, path, message }`, plus `itemId` for item issues.
+ */
+
+const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+
+const toCents = value => Math.round((Number(value) || 0) * 100);
+
+const group = () => ({ errors: [], warnings: [] });
+
+function checkMasterBill(masterBill) {
+  const issues = group();
+
+  if (isBlank(masterBill.shipment?.billNumber)) {
+    issues.errors.push({ check: 'missing-bill-number', path: 'shipment.billNumber', message: 'Master bill number is empty.' });
+  }
+  if (isBlank(masterBill.packages?.pkgType)) {
+    issues.errors.push({ check: 'missing-package-type', path: 'packages.pkgType', message: 'Package type is empty.' });
+  }
+  (masterBill.containers || []).forEach((container, index) => {
+    if (isBlank(container.containerNumber)) {
+      issues.errors.push({
+        check: 'container-missing-number',
+        path: `containers[${index}].containerNumber`,
+        message: `Container ${index + 1} has no number.`
+      });
+    }
+  });
+
+  return issues;
+}
+
+function checkDeclaration(declaration) {
+  const issues = { declarationId: declaration.id, billNumber: declaration.billNumber || null, ...group() };
+
+  if (isBlank(declaration.importer?.number)) {
+    issues.errors.push({ check: 'missing-importer-number', path: 'importer.number', message: 'Importer number is missing.' });
+  }
+  if (isBlank(declaration.billNumber)) {
+    issues.errors.push({ check: 'missing-bill-number', path: 'billNumber', message: 'House bill number is empty.' });
+  }
+  if (isBlank(declaration.packages?.pkgType)) {
+    issues.errors.push({ check: 'missing-package-type', path: 'packages.pkgType', message: 'Package type is empty.' });
+  }
+
+  const items = declaration.items || [];
+  if (items.length === 0) {
+    issues.warnings.push({ check: 'no-items', path: 'items', message: 'Declaration has no items.' });
+  }
+  items.forEach((item, index) => {
+    [
+      ['code', 'item-missing-code', 'has no tariff code'],
+      ['qty', 'item-missing-qty', 'has no quantity'],
+      ['procedureCode', 'item-missing-procedure-code', 'has no procedure code']
+    ].forEach(([field, check, problem]) => {
+      if (isBlank(item[field])) {
+        issues.errors.push({ check, path: `items[${index}].${field}`, itemId: item.id, message: `Item ${index + 1} ${problem}.` });
+      }
+    });
+  });
+
+  // Item costs are entered separately from the declared net cost
+  if (items.length > 0) {
+    const itemCost = items.reduce((total, item) => total + toCents(item.cost), 0);
+    const netCost = toCents(declaration.valuation?.netCost);
+    if (itemCost !== netCost) {
+      issues.warnings.push({
+        check: 'cost-total-mismatch',
+        path: 'valuation.netCost',
+        message: `Item costs add up to ${(itemCost / 100).toFixed(2)} but the net cost is ${(netCost / 100).toFixed(2)}.`
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Run the content checks on a master bill and its declarations. Returns
+ * `{ masterBill: { errors, warnings }, declarations: [{ declarationId, billNumber, errors, warnings }] }`;
+ * pass it through `summarizeReport()` once any further issues have been added.
+ */
+export function buildPreflightReport(masterBill, declarations) {
+  return {
+    masterBill: checkMasterBill(masterBill),
+    declarations: declarations.map(checkDeclaration)
+  };
+}
+
+/**
+ * Add an issue to the group of the declaration it concerns, or to the master bill's group.
+ */
+export function addIssue(report, severity, issue, declarationId = null) {
+  const target = (declarationId && report.declarations.find(d => d.declarationId === declarationId)) || report.masterBill;
+  target[severity === 'error' ? 'errors' : 'warnings'].push(issue);
+}
+
+export function summarizeReport(report) {
+  const groups = [report.masterBill, ...report.declarations];
+  const errorCount = groups.reduce((total, g) => total + g.errors.length, 0);
+  const warningCount = groups.reduce((total, g) => total + g.warnings.length, 0);
+  return { ready: errorCount === 0, errorCount, warningCount, ...report };
+}
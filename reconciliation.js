@@ -0,0 +1,76 @@
+/**
+ * Master bill vs house bill reconciliation.
+ *
+ * The master bill's package count, gross weight and gross volume are typed in separately
+ * from its house declarations, and its containers carry their own weights and volumes. This
+ * compares the summed house packages and the summed containers with the master figures and
+ * lists every difference larger than the tolerance, a percentage of the master figure.
+ */
+
+const toleranceSetting = parseFloat(process.env.RECONCILIATION_TOLERANCE_PERCENT);
+export const DEFAULT_TOLERANCE_PERCENT = Number.isFinite(toleranceSetting) && toleranceSetting >= 0 ? toleranceSetting : 1;
+
+const toNumber = value => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const round = value => Math.round(value * 1000) / 1000;
+
+const sum = (list, valueOf) => round(list.reduce((total, entry) => total + (toNumber(valueOf(entry)) || 0), 0));
+
+/**
+ * Parse a tolerance percentage from a query string value. Returns null when it is invalid.
+ */
+export function parseTolerance(value) {
+  if (value === undefined || value === '') return DEFAULT_TOLERANCE_PERCENT;
+  const tolerance = Number(value);
+  return Number.isFinite(tolerance) && tolerance >= 0 ? tolerance : null;
+}
+
+/**
+ * Reconcile a master bill with its house declarations. Returns
+ * `{ tolerance, reconciled, totals: { master, houses, containers }, mismatches }`, where each
+ * mismatch is `{ check, field, master, actual, difference }`.
+ */
+export function reconcileMasterBill(masterBill, declarations, { tolerance = DEFAULT_TOLERANCE_PERCENT } = {}) {
+  const containers = masterBill.containers || [];
+
+  const master = {
+    pkgCount: toNumber(masterBill.packages?.pkgCount),
+    grossWt: toNumber(masterBill.packages?.grossWt),
+    grossVol: toNumber(masterBill.packages?.grossVol)
+  };
+  const houses = {
+    pkgCount: sum(declarations, d => d.packages?.pkgCount),
+    grossWt: sum(declarations, d => d.packages?.grossWt),
+    grossVol: sum(declarations, d => d.packages?.grossVol)
+  };
+  const containerTotals = containers.length > 0
+    ? { grossWt: sum(containers, c => c.weight), grossVol: sum(containers, c => c.volume) }
+    : null;
+
+  const mismatches = [];
+  const compare = (check, field, actual) => {
+    const expected = master[field];
+    // A blank master figure only matters when there is something to compare it with
+    const difference = round(actual - (expected || 0));
+    const allowed = expected === null ? 0 : Math.abs(expected) * tolerance / 100;
+    if (Math.abs(difference) > allowed + 1e-9) {
+      mismatches.push({ check, field, master: expected, actual, difference });
+    }
+  };
+
+  ['pkgCount', 'grossWt', 'grossVol'].forEach(field => compare('houses', field, houses[field]));
+  if (containerTotals) {
+    ['grossWt', 'grossVol'].forEach(field => compare('containers', field, containerTotals[field]));
+  }
+
+  return {
+    tolerance,
+    reconciled: mismatches.length === 0,
+    totals: { master, houses, containers: containerTotals },
+    mismatches
+  };
+}
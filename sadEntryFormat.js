@@ -0,0 +1,167 @@
+import { js2xml } from 'xml-js';
+import { DEFAULT_BROKER_PROFILE } from './brokerProfiles.js';
+import { normalizeTransportMode, dischargePortFor } from './transportModes.js';
+import { validateSadEntry } from './sadEntryValidation.js';
+
+/**
+ * The SADEntry XML layout customs accepts, and what POST /generate-xml produces.
+ */
+
+/**
+ * Build the xml-js object for a SADEntry document. `tariffMapFor(declaration)` gives the
+ * tariff lookup for a declaration, used for the items' quantity units.
+ */
+export function structureDataForXml(consolidatedItems, masterBill, {
+  profile = DEFAULT_BROKER_PROFILE,
+  generatedAt = new Date().toISOString(),
+  tariffMapFor = () => new Map()
+} = {}) {
+  const rawMode = masterBill.consignment?.transportMode;
+  const mode = normalizeTransportMode(rawMode) || rawMode;
+  const { weightUnit, volumeUnit } = profile;
+  const sadEntryObject = {
+    _declaration: { _attributes: { version: '1.0', encoding: 'UTF-8' } },
+    SADEntry: {
+      Date: { _text: generatedAt.split('T')[0] },
+      Regime: { _text: profile.regime },
+      Importer: { Number: { _text: profile.importerNumber } },
+      // Exporter: { Number: { _text: masterBill.exporter?.number || '' } },
+      Exporter: {
+        Name: { _text: profile.name },
+        Address: { _text: profile.address },
+        City: { _text: profile.city },
+        State: { _text: profile.state },
+        PostalCode: { _text: profile.postalCode },
+        Country: { _text: profile.country },
+      },
+      Finance: {},
+      Consignment: {
+        DepartureDate: { _text: masterBill.consignment?.departureDate || '' },
+        ArrivalDate: { _text: masterBill.consignment?.arrivalDate || '' },
+        ExportCountry: { _text: profile.exportCountry },
+        ImportCountry: { _text: profile.importCountry },
+        ShippingPort: { _text: masterBill.consignment?.shippingPort || '' },
+        DischargePort: { _text: masterBill.consignment?.dischargePort || dischargePortFor(mode) },
+        TransportMode: { _text: mode || '' },
+      },
+      Shipment: {
+        VesselCode: { _text: masterBill.shipment?.vesselCode || '' },
+        VoyageNo: { _text: masterBill.shipment?.voyageNo || '' },
+        ShippingAgent: { _text: masterBill.shipment?.shippingAgent || '' },
+        BillNumber: { _text: masterBill.shipment?.billNumber || '' },
+        BillType: { _text: profile.billType },
+      },
+      // Container section moved here - before Packages
+      Container: [],
+      Packages: {
+        PkgCount: { _text: masterBill.packages?.pkgCount || '' },
+        PkgType: { _text: masterBill.packages?.pkgType || '' },
+        GrossWt: { _text: masterBill.packages?.grossWt || '' },
+        GrossWtUnit: { _text: weightUnit },
+        GrossVol: { _text: masterBill.packages?.grossVol || '' },
+        GrossVolUnit: { _text: volumeUnit },
+        Contents: { _text: masterBill.packages?.contents || '' },
+        CategoryOfGoods: { _text: "1" },
+      },
+      MoneyDeclaredFlag: { _text: "N" },
+      ConsolidatedShipment: {
+        ConsolidatedItem: consolidatedItems.map(item => ({
+          Importer: { Number: { _text: item.importer.number } },
+          Exporter: item.exporter?.number
+            ? { Number: { _text: item.exporter.number } }
+            : {
+              Name: { _text: item.exporter?.name || '' },
+              Address: { _text: item.exporter?.address || '' },
+              City: { _text: item.exporter?.city || '' },
+              State: { _text: item.exporter?.state || '' },
+              PostalCode: { _text: item.exporter?.postalcode || '' },
+              Country: { _text: item.exporter?.country || '' },
+              Phone: { _text: item.exporter?.phone || '' }
+            },
+          Finance: {},
+          BillNumber: { _text: item.billNumber },
+          Packages: {
+            PkgCount: { _text: item.packages.pkgCount },
+            PkgType: { _text: item.packages.pkgType },
+            GrossWt: { _text: item.packages.grossWt },
+            GrossWtUnit: { _text: weightUnit },
+            GrossVol: { _text: item.packages.grossVol },
+            GrossVolUnit: { _text: volumeUnit },
+            Contents: { _text: item.packages.contents },
+            CategoryOfGoods: { _text: "1" },
+          },
+          Valuation: {
+            Currency: { _text: "USD" },
+            NetCost: { _text: item.valuation.netCost },
+            NetInsurance: { _text: item.valuation.netInsurance },
+            NetFreight: { _text: item.valuation.netFreight },
+            TermsOfDelivery: { _text: "FOB" },
+          },
+          Items: (item.items || []).map(tariff => {
+            // find the tariff definition in the schedule in force on arrival and use its unit if present
+            const tariffDef = tariffMapFor(item).get(String(tariff.code));
+            const qtyUnit = tariffDef?.unit || tariffDef?.qtyUnit || tariffDef?.QtyUnit || tariff.qtyUnit || weightUnit;
+            return ({
+              Code: { _text: tariff.code },
+              Desc: { _text: tariff.desc },
+              Origin: { _text: profile.originCountry },
+              Qty: { _text: tariff.qty },
+              QtyUnit: { _text: qtyUnit },
+              Cost: { _text: tariff.cost },
+              Insurance: { _text: tariff.insurance },
+              Freight: { _text: tariff.freight },
+              InvNumber: { _text: tariff.invNumber },
+              Procedure: {
+                Code: { _text: tariff.procedureCode },
+                ImporterNumber: { _text: item.importer.number },
+              },
+            });
+          }),
+          MoneyDeclaredFlag: { _text: "N" },
+        }))
+      }
+    }
+  };
+
+  // Populate Container array
+  if (masterBill.containers && masterBill.containers.length > 0) {
+    masterBill.containers.forEach(container => {
+      const containerObject = {
+        ContainerNumber: { _text: container.containerNumber || '' },
+        ContainerType: { _text: container.containerType || '' },
+        SealNumber: { _text: container.sealNumber || '' },
+        DockReceipt: { _text: container.dockReceipt || '' },
+        MarksAndNumbers: { _text: container.marksNumbers || '' },
+        CubicSize: { _text: container.volume || '' },
+        CubicUnit: { _text: volumeUnit },
+        GrossWt: { _text: container.weight || '' },
+        GrossWtUnit: { _text: weightUnit },
+      }
+      sadEntryObject.SADEntry.Container.push(containerObject);
+    });
+  }
+
+  return sadEntryObject;
+}
+
+export const sadEntryFormat = {
+  name: 'sadentry',
+  label: 'SADEntry XML',
+  contentType: 'application/xml',
+  fileName: 'SADEntry.xml',
+  submission: true,
+
+  render({ declarations, masterBill, profile, generatedAt, tariffMapFor }) {
+    return js2xml(
+      structureDataForXml(declarations, masterBill, { profile, generatedAt, tariffMapFor }),
+      { compact: true, spaces: 4 }
+    );
+  },
+
+  // Checked against the XSD registered through /schemas/sadentry, when there is one
+  async validate(contents, { data, declarations }) {
+    if (!data.sadEntrySchema) return { valid: true, errors: [] };
+    const validation = await validateSadEntry(contents, data.sadEntrySchema.contents, declarations);
+    return { ...validation, error: 'Generated XML does not conform to the SADEntry schema.' };
+  }
+};
@@ -0,0 +1,189 @@
+import { xml2js } from 'xml-js';
+import { normalizeTransportMode } from './transportModes.js';
+
+/**
+ * Reading SADEntry documents back into master bills and declarations, the inverse of
+ * `structureDataForXml`. Used for files from partner forwarders and for exports made before
+ * this server kept its own.
+ *
+ * Fields the generator fills from the broker profile (units, countries, regime) are returned in
+ * `header` rather than on the master bill; the header is matched to a stored profile by its
+ * importer number.
+ */
+
+// Older exports wrote missing values as the text "undefined"
+const textOf = node => {
+  const value = node?._text ?? node?._cdata ?? '';
+  const text = String(value).trim();
+  return text === 'undefined' ? '' : text;
+};
+
+const asList = value => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+
+function parseHeader(entry) {
+  return {
+    date: textOf(entry.Date),
+    regime: textOf(entry.Regime),
+    importerNumber: textOf(entry.Importer?.Number),
+    name: textOf(entry.Exporter?.Name),
+    exportCountry: textOf(entry.Consignment?.ExportCountry),
+    importCountry: textOf(entry.Consignment?.ImportCountry),
+    billType: textOf(entry.Shipment?.BillType),
+    weightUnit: textOf(entry.Packages?.GrossWtUnit),
+    volumeUnit: textOf(entry.Packages?.GrossVolUnit)
+  };
+}
+
+function parsePackages(packages) {
+  return {
+    pkgCount: textOf(packages?.PkgCount),
+    pkgType: textOf(packages?.PkgType),
+    grossWt: textOf(packages?.GrossWt),
+    grossVol: textOf(packages?.GrossVol),
+    contents: textOf(packages?.Contents)
+  };
+}
+
+function parseMasterBill(entry) {
+  const consignment = entry.Consignment || {};
+  const shipment = entry.Shipment || {};
+  const rawMode = textOf(consignment.TransportMode);
+
+  return {
+    consignment: {
+      departureDate: textOf(consignment.DepartureDate),
+      arrivalDate: textOf(consignment.ArrivalDate),
+      shippingPort: textOf(consignment.ShippingPort),
+      dischargePort: textOf(consignment.DischargePort),
+      transportMode: normalizeTransportMode(rawMode) || rawMode
+    },
+    shipment: {
+      vesselCode: textOf(shipment.VesselCode),
+      voyageNo: textOf(shipment.VoyageNo),
+      shippingAgent: textOf(shipment.ShippingAgent),
+      billNumber: textOf(shipment.BillNumber)
+    },
+    packages: parsePackages(entry.Packages),
+    containers: asList(entry.Container).map(container => ({
+      containerNumber: textOf(container.ContainerNumber),
+      containerType: textOf(container.ContainerType),
+      sealNumber: textOf(container.SealNumber),
+      dockReceipt: textOf(container.DockReceipt),
+      marksNumbers: textOf(container.MarksAndNumbers),
+      volume: textOf(container.CubicSize),
+      weight: textOf(container.GrossWt)
+    }))
+  };
+}
+
+function parseDeclaration(item, transportMode) {
+  const exporter = item.Exporter || {};
+  return {
+    transportMode,
+    billNumber: textOf(item.BillNumber),
+    importer: { number: textOf(item.Importer?.Number), name: '' },
+    exporter: {
+      number: textOf(exporter.Number),
+      name: textOf(exporter.Name),
+      address: textOf(exporter.Address),
+      city: textOf(exporter.City),
+      state: textOf(exporter.State),
+      postalcode: textOf(exporter.PostalCode),
+      country: textOf(exporter.Country),
+      phone: textOf(exporter.Phone)
+    },
+    packages: parsePackages(item.Packages),
+    valuation: {
+      netCost: textOf(item.Valuation?.NetCost) || '0.00',
+      netFreight: textOf(item.Valuation?.NetFreight) || '0.00',
+      netInsurance: textOf(item.Valuation?.NetInsurance) || '0.00'
+    },
+    items: asList(item.Items).map(line => ({
+      code: textOf(line.Code),
+      desc: textOf(line.Desc),
+      qty: textOf(line.Qty),
+      qtyUnit: textOf(line.QtyUnit),
+      cost: textOf(line.Cost),
+      insurance: textOf(line.Insurance),
+      freight: textOf(line.Freight),
+      invNumber: textOf(line.InvNumber),
+      procedureCode: textOf(line.Procedure?.Code)
+    }))
+  };
+}
+
+/**
+ * Parse a SADEntry document. Returns `{ header, masterBill, declarations }`, or `{ error }` when
+ * the file is not well-formed XML or is not a SADEntry document.
+ */
+export function parseSadEntry(contents) {
+  let document;
+  try {
+    document = xml2js(contents, { compact: true });
+  } catch (error) {
+    return { error: `The file is not well-formed XML: ${error.message.split('\n')[0]}` };
+  }
+
+  const entry = document.SADEntry;
+  if (!entry || Array.isArray(entry)) {
+    return { error: 'The file is not a SADEntry document.' };
+  }
+
+  const masterBill = parseMasterBill(entry);
+  const declarations = asList(entry.ConsolidatedShipment?.ConsolidatedItem)
+    .map(item => parseDeclaration(item, masterBill.consignment.transportMode));
+  return { header: parseHeader(entry), masterBill, declarations };
+}
+
+// Bill numbers are compared the way people type them: case and surrounding spaces do not matter
+const billKey = billNumber => String(billNumber || '').trim().toUpperCase();
+
+/**
+ * Bill numbers in a parsed document that already exist, or that appear more than once in it.
+ * Returns `[{ type: 'master' | 'house', billNumber, existingId?, reason }]`.
+ */
+export function findBillNumberConflicts(data, parsed) {
+  const conflicts = [];
+
+  const masterNumber = parsed.masterBill.shipment.billNumber;
+  const existingMaster = (data.masterBills || [])
+    .find(m => masterNumber && billKey(m.shipment?.billNumber) === billKey(masterNumber));
+  if (existingMaster) {
+    conflicts.push({ type: 'master', billNumber: masterNumber, existingId: existingMaster.id, reason: 'exists' });
+  }
+
+  const seen = new Set();
+  parsed.declarations.forEach(declaration => {
+    const key = billKey(declaration.billNumber);
+    if (!key) return;
+    const existing = (data.declarations || []).find(d => billKey(d.billNumber) === key);
+    if (existing) {
+      conflicts.push({ type: 'house', billNumber: declaration.billNumber, existingId: existing.id, reason: 'exists' });
+    } else if (seen.has(key)) {
+      conflicts.push({ type: 'house', billNumber: declaration.billNumber, reason: 'repeated' });
+    }
+    seen.add(key);
+  });
+
+  return conflicts;
+}
+
+/**
+ * The user in users.json whose TIN is the importer number, or null.
+ */
+export function matchImporter(users, number) {
+  if (!number) return null;
+  return users.find(u => String(u.tin || '').trim() === number) || null;
+}
+
+/**
+ * The importer's exporter with the same TIN or, without a TIN, the same name; or null.
+ */
+export function matchExporter(exporters, exporter, importerId) {
+  const own = exporters.filter(e => e.uid === importerId);
+  if (exporter.number) {
+    return own.find(e => e.tin === exporter.number) || null;
+  }
+  const name = exporter.name.toLowerCase();
+  return (name && own.find(e => !e.tin && (e.name || '').trim().toLowerCase() === name)) || null;
+}
@@ -0,0 +1,116 @@
+import { validateXML, memoryPages } from 'xmllint-wasm';
+
+/**
+ * Validation of generated SADEntry documents against the customs XSD.
+ *
+ * The XSD is registered through the API and kept in `db.data.sadEntrySchema`; validation runs
+ * libxml2 compiled to WebAssembly, so nothing is fetched over the network. libxml2 reports
+ * errors by line, and the generated XML has one element per line, so each error's line is
+ * turned back into an element path and from there into the declaration and item it came from.
+ */
+
+const FILE_NAME = 'SADEntry.xml';
+const MAX_MEMORY = 256 * memoryPages.MiB;
+
+// Elements that appear once per container, declaration or item always carry their position
+const REPEATED_ELEMENTS = ['Container', 'ConsolidatedItem', 'Items'];
+
+const stripPrefix = message => message.replace(/^Schemas validity error : /, '').trim();
+
+/**
+ * Check that an XSD compiles. Returns an error message, or null when it is usable.
+ */
+export async function checkSchema(contents) {
+  try {
+    await validateXML({
+      xml: [{ fileName: 'probe.xml', contents: '<?xml version="1.0"?><probe/>' }],
+      schema: [contents]
+    });
+    return null;
+  } catch (error) {
+    return String(error.message || error).trim();
+  }
+}
+
+/**
+ * Path of the `position`th (1-based) `name` element under `parentPath`, e.g.
+ * "SADEntry/ConsolidatedShipment/ConsolidatedItem[2]/Items[1]/Cost". Validation errors and
+ * export comparisons both use these paths.
+ */
+export function elementPath(parentPath, name, position) {
+  const indexed = REPEATED_ELEMENTS.includes(name) || position > 1;
+  return `${parentPath ? `${parentPath}/` : ''}${name}${indexed ? `[${position}]` : ''}`;
+}
+
+/**
+ * Path of the element opened on each line, e.g.
+ * "SADEntry/ConsolidatedShipment/ConsolidatedItem[2]/Items[1]/Cost".
+ */
+export function elementPathsByLine(xml) {
+  const paths = new Map();
+  const stack = [{ path: '', counts: new Map() }];
+
+  xml.split('\n').forEach((line, index) => {
+    const tagPattern = /<(\/?)([A-Za-z_][\w.-]*)[^>]*?(\/?)>/g;
+    let match;
+    while ((match = tagPattern.exec(line))) {
+      const [, closing, name, selfClosing] = match;
+      if (closing) {
+        stack.pop();
+        continue;
+      }
+
+      const parent = stack[stack.length - 1];
+      const position = (parent.counts.get(name) || 0) + 1;
+      parent.counts.set(name, position);
+      const path = elementPath(parent.path, name, position);
+      if (!paths.has(index + 1)) paths.set(index + 1, path);
+      if (!selfClosing) stack.push({ path, counts: new Map() });
+    }
+  });
+
+  return paths;
+}
+
+/**
+ * Which declaration and item an element path belongs to.
+ */
+export function locateElement(path, declarations) {
+  const location = {};
+  const itemMatch = /ConsolidatedItem\[(\d+)\]/.exec(path || '');
+  if (!itemMatch) return location;
+
+  const declaration = declarations[Number(itemMatch[1]) - 1];
+  if (!declaration) return location;
+  location.declarationId = declaration.id;
+  location.billNumber = declaration.billNumber;
+
+  const lineMatch = /\/Items\[(\d+)\]/.exec(path);
+  if (lineMatch) {
+    const itemIndex = Number(lineMatch[1]) - 1;
+    location.itemIndex = itemIndex;
+    location.itemId = declaration.items?.[itemIndex]?.id;
+  }
+  return location;
+}
+
+/**
+ * Validate a generated document. `declarations` are the declarations in the order they were
+ * written. Returns `{ valid, errors: [{ line, path, message, declarationId?, itemIndex?, ... }] }`.
+ */
+export async function validateSadEntry(xml, schema, declarations) {
+  const result = await validateXML({
+    xml: [{ fileName: FILE_NAME, contents: xml }],
+    schema: [schema],
+    maxMemoryPages: MAX_MEMORY
+  });
+  if (result.valid) return { valid: true, errors: [] };
+
+  const paths = elementPathsByLine(xml);
+  const errors = result.errors.map(error => {
+    const line = error.loc?.lineNumber ?? null;
+    const path = paths.get(line) || null;
+    return { line, path, message: stripPrefix(error.message), ...locateElement(path, declarations) };
+  });
+  return { valid: false, errors };
+}
@@ -7,82 +7,289 @@ import fs from 'fs';
 import express from 'express';
 import bodyParser from 'body-parser';
 import cors from 'cors';
-import { js2xml } from 'xml-js';
-import { Low } from 'lowdb';
-import { JSONFile } from 'lowdb/node';
 import { v4 as uuidv4 } from 'uuid';
+import { allocateDeclarationItems, isValidAllocationStrategy, findOverAllocatedCharges } from './allocation.js';
+import { buildTariffMap, assessDeclaration, assessMasterBill } from './dutyCalculator.js';
+import { buildTariffTree, toTreeNode, getChildren, getAncestorPath } from './tariffTree.js';
+import { buildTariffIndex, ensureTariffIndex, searchTariffs } from './tariffSearch.js';
+import {
+  tariffFromCsvRow,
+  toIsoDate,
+  resolveSchedule,
+  tariffsForDate,
+  declarationTariffDate,
+  scheduleSummary,
+  diffSchedules,
+  checkScheduleStart
+} from './tariffSchedules.js';
+import { validateItemCodes } from './codeValidation.js';
+import {
+  DECLARATION_STATUSES,
+  STATUS_TRANSITIONS,
+  statusOf,
+  isLocked,
+  applyStatus,
+  markExported
+} from './declarationStatus.js';
+import { recordVersion, listVersions, getVersion } from './declarationHistory.js';
+import { parseDeclarationQuery, queryDeclarations } from './declarationQuery.js';
+import { applyMergePatch, isPlainObject } from './mergePatch.js';
+import { declarationSchema, validateDeclaration, validationErrorResponse } from './declarationSchema.js';
+import { revisionOf, etagOf, bumpRevision, checkIfMatch, checkRevisions } from './declarationRevision.js';
+import { openStorage } from './storage.js';
+import {
+  createMasterBill,
+  updateMasterBill,
+  recordGeneration,
+  summarizeMasterBill,
+  latestMasterBill,
+  MASTER_BILL_STATUSES,
+  isOpen,
+  assignmentsOf,
+  findAssignmentConflicts,
+  attachDeclarations,
+  detachDeclarations
+} from './masterBills.js';
+import { reconcileMasterBill, parseTolerance } from './reconciliation.js';
+import {
+  DEFAULT_BROKER_PROFILE,
+  validateBrokerProfile,
+  buildBrokerProfile,
+  seedDefaultBrokerProfile,
+  setDefaultBrokerProfile,
+  resolveBrokerProfile
+} from './brokerProfiles.js';
+import { TRANSPORT_MODES, normalizeTransportMode } from './transportModes.js';
+import { checkSchema, validateSadEntry } from './sadEntryValidation.js';
+import { buildPreflightReport, addIssue, summarizeReport } from './preflight.js';
+import { archiveExport, summarizeExport, recordDownload, compareExports, latestExportOf } from './exportArchive.js';
+import { sadEntryFormat } from './sadEntryFormat.js';
+import { findExportFormat, listExportFormats } from './exportFormats.js';
+import { parseSadEntry, findBillNumberConflicts, matchImporter, matchExporter } from './sadEntryImport.js';
+import { moveToTrash, restoreFromTrash, purgeFromTrash, expiredTrashIds } from './declarationTrash.js';
+
+// ----------------------------------------------------------------------
+// Database Setup
+// ----------------------------------------------------------------------
+const defaultData = {
+  declarations: [],
+  exporters: [],
+  tariffSchedules: [],
+  declarationHistory: [],
+  declarationTrash: [],
+  masterBills: [],
+  brokerProfiles: [],
+  exportArchive: []
+};
+const usersDefaultData = { users: [] };
+
+// db.json/users.json or SQLite, depending on STORAGE_BACKEND (see storage.js). Requests are
+// handled one at a time against the stores, and writes go through commit() so that changes
+// to the collections and the users land together or not at all
+const stores = await openStorage({ defaultData, usersDefaultData });
+const { db, usersDb, find } = stores;
+const commit = (...dbs) => stores.commit(...dbs);
+console.log(`Using ${stores.backend} storage.`);
+
+// Older data kept only the latest master bill, as a single `masterBill` object, which the
+// master bill routes do not read
+if ('masterBill' in db.data) {
+  console.warn('The data still has a legacy master bill; run `npm run migrate:master-bills` to keep it.');
+}
+
+// Older data had no broker profiles
+if (seedDefaultBrokerProfile(db.data)) await commit(db);
+
+// Search index over the tariff table, built on load and rebuilt only when the table changes
+let tariffIndex = buildTariffIndex(tariffsForDate(db.data), resolveSchedule(db.data.tariffSchedules)?.id);
 
 /**
- * Allocate a monetary total (dollars) proportionally across weights (e.g. tariff costs)
- * using integer cents and the largest-remainder method so allocations sum exactly to total.
- * Returns an array of strings formatted to two decimals (e.g. "12.34").
+ * Tariff lookup for a declaration, resolved against the schedule in force on its arrival date.
  */
-function allocateProportionalToCents(totalAmount, weights) {
-  const totalCents = Math.round(Number(totalAmount) * 100);
-  const weightNums = weights.map(w => Number(w) || 0);
-  const weightSum = weightNums.reduce((s, v) => s + v, 0);
+function tariffMapForDeclaration(declaration, masterBill) {
+  return buildTariffMap(tariffsForDate(db.data, declarationTariffDate(declaration, masterBill)));
+}
 
-  if (totalCents === 0 || weightSum === 0) {
-    // Return zero for each weight if nothing to distribute or no weights
-    return weights.map(() => (0).toFixed(2));
+/**
+ * Sync a declaration's importer with users.json: an existing user (matched by id) gets its
+ * TIN updated, otherwise a new user is created. Sets `importer.id` and returns the importer
+ * id, which is undefined when an unknown id was given. The caller commits usersDb.
+ */
+async function syncImporter(importer) {
+  let importerId;
+  if (importer?.id) {
+    // Existing importer - find by ID and update TIN
+    const existingUser = usersDb.data.users.find(u => u.id === importer.id);
+    if (existingUser) {
+      // Update TIN number (always, since it's provided in request)
+      existingUser.tin = importer.number;
+      importerId = existingUser.id;
+      importer.id = importerId;
+    }
+  } else {
+    // New importer - create new user
+    const newImporter = {
+      id: uuidv4(),
+      name: importer.name || '',
+      tin: importer.number
+    };
+    usersDb.data.users.push(newImporter);
+    importerId = newImporter.id;
+    importer.id = importerId;
   }
+  return importerId;
+}
 
-  // compute exact shares in cents (may be fractional), floor them, record fractions
-  const exactShares = weightNums.map(w => (w / weightSum) * totalCents);
-  const floorShares = exactShares.map(s => Math.floor(s));
-  const fractions = exactShares.map((s, i) => ({ i, frac: s - floorShares[i] }));
-
-  // Distribute remaining cents by largest fractional remainders
-  let assigned = floorShares.reduce((a, b) => a + b, 0);
-  let remainder = totalCents - assigned;
-  fractions.sort((a, b) => b.frac - a.frac);
-  for (let k = 0; k < remainder; k++) {
-    floorShares[fractions[k].i] += 1;
+/**
+ * Sync a declaration's exporter with the exporters collection: an existing exporter (matched
+ * by id) has the fields present in the request updated, otherwise a new exporter is created
+ * and linked to the importer. Sets `exporter.id` and returns it.
+ */
+function syncExporter(exporter, importerId) {
+  let exporterId;
+
+  if (exporter.id) {
+    const existingExporter = db.data.exporters.find(e => e.id === exporter.id);
+    if (existingExporter) {
+      // Update association with importer if not already set
+      if (!existingExporter.uid && importerId) {
+        existingExporter.uid = importerId;
+      }
+      // Update fields
+      if (typeof exporter.name === 'string') existingExporter.name = exporter.name;
+      if (typeof exporter.number === 'string') existingExporter.tin = exporter.number;
+      if (typeof exporter.address === 'string') existingExporter.address = exporter.address;
+      if (typeof exporter.city === 'string') existingExporter.city = exporter.city;
+      if (typeof exporter.state === 'string') existingExporter.state = exporter.state;
+      if (typeof exporter.postalcode === 'string') existingExporter.postalcode = exporter.postalcode;
+      if (typeof exporter.country === 'string') existingExporter.country = exporter.country;
+      if (typeof exporter.phone === 'string') existingExporter.phone = exporter.phone;
+      exporterId = existingExporter.id;
+    } else {
+      // Create new exporter with the provided ID
+      const newExporter = {
+        id: exporter.id,
+        name: exporter.name || '',
+        tin: exporter.number || '',
+        address: exporter.address || '',
+        city: exporter.city || '',
+        state: exporter.state || '',
+        postalcode: exporter.postalcode || '',
+        country: exporter.country || '',
+        phone: exporter.phone || '',
+        uid: importerId || null
+      };
+      db.data.exporters.push(newExporter);
+      exporterId = newExporter.id;
+    }
+  } else {
+    // Create new exporter with generated ID
+    const newExporter = {
+      id: uuidv4(),
+      name: exporter.name || '',
+      tin: exporter.number || '',
+      address: exporter.address || '',
+      city: exporter.city || '',
+      state: exporter.state || '',
+      postalcode: exporter.postalcode || '',
+      country: exporter.country || '',
+      phone: exporter.phone || '',
+      uid: importerId || null
+    };
+    db.data.exporters.push(newExporter);
+    exporterId = newExporter.id;
   }
 
-  return floorShares.map(c => (c / 100).toFixed(2));
+  exporter.id = exporterId;
+  return exporterId;
 }
 
 /**
- * Divide a monetary total equally across items using integer cents and largest-remainder method.
- * Returns an array of strings formatted to two decimals (e.g. "12.34").
+ * Validate item tariff codes against the schedule in force for the declaration.
+ * With ?strict=true the caller gets a 422 and nothing is saved; by default the
+ * issues are returned alongside the saved declaration as warnings.
  */
-function divideEquallyInCents(totalAmount, count) {
-  if (count === 0) return [];
-  
-  const totalCents = Math.round(Number(totalAmount) * 100);
-  const perItem = Math.floor(totalCents / count);
-  const remainder = totalCents % count;
-  
-  const shares = Array(count).fill(perItem);
-  // Distribute remaining cents to first items
-  for (let i = 0; i < remainder; i++) {
-    shares[i] += 1;
-  }
-  
-  return shares.map(c => (c / 100).toFixed(2));
+function checkItemCodes(req, items, declaration) {
+  const strict = req.query.strict === 'true' || req.query.strict === '1';
+  const issues = validateItemCodes(items, tariffsForDate(db.data, declarationTariffDate(declaration)));
+  return { strict, issues, blocked: strict && issues.length > 0 };
 }
 
-// ----------------------------------------------------------------------
-// Database Setup
-// ----------------------------------------------------------------------
-const adapter = new JSONFile('db.json');
-const defaultData = { declarations: [], exporters: [] };
-const db = new Low(adapter, defaultData);
-await db.read();
+// Who made a change, as sent by the client in the X-Actor header
+const actorOf = req => req.get('X-Actor') || 'anonymous';
 
-const usersAdapter = new JSONFile('users.json');
-const usersDefaultData = { users: [] };
-const usersDb = new Low(usersAdapter, usersDefaultData);
-await usersDb.read();
+const lockedResponse = declaration => ({
+  error: `Declaration is ${statusOf(declaration)}; reopen it before making changes.`,
+  status: statusOf(declaration)
+});
+
+const codeIssuesResponse = issues => ({
+  error: 'One or more item tariff codes are invalid.',
+  codeIssues: issues
+});
+
+const overAllocationResponse = charges => ({
+  error: 'Locked item amounts add up to more than the declared total.',
+  overAllocated: charges
+});
+
+/**
+ * Attach the computed duty assessment to a declaration for API responses.
+ * The assessment is derived from the tariff table and never persisted.
+ */
+function withAssessment(declaration) {
+  return { ...declaration, assessment: assessDeclaration(declaration, tariffMapForDeclaration(declaration)) };
+}
+
+/**
+ * Send a declaration (with its assessment) and its revision as the ETag.
+ */
+function sendDeclaration(res, statusCode, declaration, extra = {}) {
+  res.header('ETag', etagOf(declaration));
+  res.status(statusCode).json({ ...withAssessment(declaration), ...extra });
+}
+
+/**
+ * Enforce If-Match on a declaration write. Responds 428 when the header is missing, or 412
+ * with the current declaration when it is stale. Returns true if a response was sent.
+ */
+function rejectStaleWrite(req, res, declaration) {
+  const result = checkIfMatch(req.get('If-Match'), declaration);
+  if (!result) return false;
+
+  if (result === 'missing') {
+    res.status(428).json({ error: 'An If-Match header with the declaration ETag is required.' });
+  } else {
+    res.header('ETag', etagOf(declaration));
+    res.status(412).json({
+      error: 'Declaration has been modified since it was loaded.',
+      current: withAssessment(declaration)
+    });
+  }
+  return true;
+}
 
 // ----------------------------------------------------------------------
 // App Initialization & Middleware
 // ----------------------------------------------------------------------
 const app = express();
 const port = 3001;
-app.use(cors());
-app.use(bodyParser.json());
+// generate-xml either warns about (`warn`) or refuses (`strict`) figures that don't reconcile
+const reconciliationMode = process.env.RECONCILIATION_MODE === 'strict' ? 'strict' : 'warn';
+
+// Days a deleted declaration stays in the trash before it is purged automatically
+const retentionSetting = parseFloat(process.env.TRASH_RETENTION_DAYS);
+const trashRetentionDays = Number.isFinite(retentionSetting) && retentionSetting >= 0 ? retentionSetting : 30;
+app.use(cors({ exposedHeaders: ['X-Total-Count', 'ETag', 'X-Master-Bill-Id', 'X-Export-Id', 'X-Reconciliation-Mismatches', 'X-Reconciliation-Details', 'X-Content-SHA256'] }));
+app.use(bodyParser.json({ type: ['application/json', 'application/merge-patch+json'] }));
+
+/**
+ * A route that reads and writes the stores. The handler runs in the store queue, so its
+ * read-modify-commit cannot interleave with another request's. Uploads are received before it
+ * is queued; routes with slow work of their own queue just their store section with
+ * `stores.run()` instead.
+ */
+const storeRoute = handler => (req, res) => stores.run(() => handler(req, res));
 
 // Set up multer for file upload
 const upload = multer({ dest: 'uploads/' });
@@ -91,59 +298,78 @@ const upload = multer({ dest: 'uploads/' });
 // API Endpoints for Declarations
 // ----------------------------------------------------------------------
 
-// GET all declarations
-app.get('/declarations', async (req, res) => {
+/**
+ * GET /declarations
+ * Filters: transportMode (any accepted spelling, see transportModes.js), status (comma-separated), importerId, exporterId, billNumber
+ * (substring), createdFrom/createdTo, assigned=true|false (on an open master bill) and
+ * masterBillId. Sort with sort=billNumber|importerName|createdAt and
+ * order=asc|desc. Passing page and/or pageSize returns `{ declarations, total, page, pageSize }`;
+ * otherwise the full filtered array is returned. The total is always sent as X-Total-Count.
+ */
+app.get('/declarations', storeRoute(async (req, res) => {
   try {
+    const options = parseDeclarationQuery(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    // Importer and bill number filters are looked up in storage; the rest apply to what it finds
+    const candidates = options.importerId != null || options.billNumber
+      ? await find.declarations({ importerId: options.importerId, billNumber: options.billNumber })
+      : null;
     await db.read();
-    const { transportMode } = req.query;
+    const result = queryDeclarations(candidates || db.data.declarations, options, assignmentsOf(db.data));
+    const declarations = result.declarations.map(d => withAssessment(d));
 
-    let filteredDeclarations = db.data.declarations;
-    if (transportMode) {
-      filteredDeclarations = db.data.declarations.filter(declaration =>
-        declaration.transportMode === transportMode
-      );
+    res.header('X-Total-Count', String(result.total));
+    if (!options.paginate) {
+      return res.status(200).json(declarations);
     }
-
-    res.status(200).json(filteredDeclarations);
+    res.status(200).json({ ...result, declarations });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch declarations.' });
   }
-});
+}));
 
-app.post('/declarations', async (req, res) => {
+app.post('/declarations', storeRoute(async (req, res) => {
   try {
     await db.read();
     await usersDb.read();
 
-    const { tariffs, ...declarationData } = req.body;
-    const newDeclaration = { ...declarationData, id: uuidv4(), items: [] };
-    const { importer, exporter } = newDeclaration;
+    const { tariffs, assessment, codeIssues, ...declarationData } = req.body;
+    if (declarationData.allocationStrategy && !isValidAllocationStrategy(declarationData.allocationStrategy)) {
+      return res.status(400).json({ error: `Unknown allocation strategy "${declarationData.allocationStrategy}".` });
+    }
 
-    // Handle importer - check by TIN number
-    let importerId;
-    if (importer?.id) {
-      // Existing importer - find by ID and update TIN
-      const existingUser = usersDb.data.users.find(u => u.id === importer.id);
-      if (existingUser) {
-        // Update TIN number (always, since it's provided in request)
-        existingUser.tin = importer.number;
-        await usersDb.write();
-        importerId = existingUser.id;
-        newDeclaration.importer.id = importerId;
-      }
-    } else {
-      // New importer - create new user
-      const newImporter = {
-        id: uuidv4(),
-        name: importer.name || '',
-        tin: importer.number
-      };
-      usersDb.data.users.push(newImporter);
-      importerId = newImporter.id;
-      newDeclaration.importer.id = importerId;
-      await usersDb.write();
+    const validationErrors = validateDeclaration({ ...declarationData, items: tariffs ?? [] });
+    if (validationErrors.length > 0) {
+      return res.status(422).json(validationErrorResponse(validationErrors));
+    }
+
+    const codeCheck = checkItemCodes(req, Array.isArray(tariffs) ? tariffs : [], declarationData);
+    if (codeCheck.blocked) {
+      return res.status(422).json(codeIssuesResponse(codeCheck.issues));
+    }
+
+    const overAllocated = findOverAllocatedCharges(tariffs, declarationData);
+    if (overAllocated.length > 0) {
+      return res.status(422).json(overAllocationResponse(overAllocated));
     }
 
+    const newDeclaration = {
+      ...declarationData,
+      id: uuidv4(),
+      createdAt: new Date().toISOString(),
+      revision: 1,
+      status: 'draft',
+      statusUpdatedAt: new Date().toISOString(),
+      items: []
+    };
+    const { importer, exporter } = newDeclaration;
+
+    // Handle importer - existing user by ID, otherwise a new one
+    const importerId = await syncImporter(importer);
+
     // Handle exporter - associate with importer (supports with/without TIN)
     if (importerId && exporter) {
       // If exporter has TIN, try to reuse by (tin + importerId)
@@ -158,7 +384,6 @@ app.post('/declarations', async (req, res) => {
           existingByTin.postalcode = exporter.postalcode || existingByTin.postalcode || '';
           existingByTin.country = exporter.country || existingByTin.country || '';
           existingByTin.phone = exporter.phone || existingByTin.phone || '';
-          await db.write();
           newDeclaration.exporter.id = existingByTin.id;
         } else {
           const newExporter = {
@@ -197,55 +422,34 @@ app.post('/declarations', async (req, res) => {
 
     // Process tariffs if provided
     if (tariffs && Array.isArray(tariffs) && tariffs.length > 0) {
-      // Check if valuation data exists for tariff calculations
-      const netFreight = parseFloat(newDeclaration.valuation?.netFreight || 0);
-      const netCost = parseFloat(newDeclaration.valuation?.netCost || 0);
-      const netInsurance = parseFloat(newDeclaration.valuation?.netInsurance || 0);
-
-      if (netCost > 0) {
-        // Build cost array for proportional allocation
-        const costNums = tariffs.map(t => parseFloat(t.cost || 0));
-        const freightAlloc = allocateProportionalToCents(netFreight, costNums);
-        const insuranceAlloc = allocateProportionalToCents(netInsurance, costNums);
-
-        const processedTariffs = tariffs.map((tariff, idx) => ({
-          ...tariff,
-          id: tariff.id || uuidv4(),
-          freight: freightAlloc[idx],
-          insurance: insuranceAlloc[idx]
-        }));
-
-        newDeclaration.items = processedTariffs;
-      } else {
-        // If netCost is 0, divide freight and insurance equally among tariffs
-        const freightAlloc = divideEquallyInCents(netFreight, tariffs.length);
-        const insuranceAlloc = divideEquallyInCents(netInsurance, tariffs.length);
-
-        const processedTariffs = tariffs.map((tariff, idx) => ({
-          ...tariff,
-          id: tariff.id || uuidv4(),
-          freight: freightAlloc[idx],
-          insurance: insuranceAlloc[idx]
-        }));
-        newDeclaration.items = processedTariffs;
-      }
+      newDeclaration.items = allocateDeclarationItems(tariffs, newDeclaration);
     }
 
     db.data.declarations.push(newDeclaration);
-    await db.write();
+    recordVersion(db.data, {
+      declarationId: newDeclaration.id,
+      action: 'create',
+      actor: actorOf(req),
+      before: null,
+      after: newDeclaration
+    });
+    await commit(db, usersDb);
 
-    res.status(201).json(newDeclaration);
+    sendDeclaration(res, 201, newDeclaration, { codeIssues: codeCheck.issues });
   } catch (error) {
     console.error('Error creating declaration:', error);
     res.status(500).json({ error: 'Failed to create declaration.' });
   }
-});
+}));
 
 // PUT (update) a declaration's main details
-app.put('/declarations/:id', async (req, res) => {
+app.put('/declarations/:id', storeRoute(async (req, res) => {
   try {
     const { id } = req.params;
-    const updatedData = req.body;
+    const { assessment, codeIssues, ...updatedData } = req.body;
+    if (updatedData.allocationStrategy && !isValidAllocationStrategy(updatedData.allocationStrategy)) {
+      return res.status(400).json({ error: `Unknown allocation strategy "${updatedData.allocationStrategy}".` });
+    }
 
     await db.read();
     await usersDb.read();
@@ -254,91 +458,47 @@ app.put('/declarations/:id', async (req, res) => {
     if (declarationIndex === -1) {
       return res.status(404).json({ error: 'Declaration not found.' });
     }
+    if (rejectStaleWrite(req, res, db.data.declarations[declarationIndex])) return;
+    if (isLocked(db.data.declarations[declarationIndex])) {
+      return res.status(409).json(lockedResponse(db.data.declarations[declarationIndex]));
+    }
+
+    const validationErrors = validateDeclaration({
+      ...updatedData,
+      items: 'items' in updatedData ? updatedData.items : (db.data.declarations[declarationIndex].items || [])
+    });
+    if (validationErrors.length > 0) {
+      return res.status(422).json(validationErrorResponse(validationErrors));
+    }
+
+    const codeCheck = checkItemCodes(
+      req,
+      Array.isArray(updatedData.items) ? updatedData.items : [],
+      { ...db.data.declarations[declarationIndex], ...updatedData }
+    );
+    if (codeCheck.blocked) {
+      return res.status(422).json(codeIssuesResponse(codeCheck.issues));
+    }
+
+    const overAllocated = findOverAllocatedCharges(
+      Array.isArray(updatedData.items) ? updatedData.items : (db.data.declarations[declarationIndex].items || []),
+      { valuation: updatedData.valuation || db.data.declarations[declarationIndex].valuation }
+    );
+    if (overAllocated.length > 0) {
+      return res.status(422).json(overAllocationResponse(overAllocated));
+    }
 
     const { importer, exporter } = updatedData;
 
-    // Handle importer logic
-    let importerId;
-    if (importer?.id) {
-      // Existing importer - find by ID and update TIN
-      const existingUser = usersDb.data.users.find(u => u.id === importer.id);
-      if (existingUser) {
-        // Update TIN number (always, since it's provided in request)
-        existingUser.tin = importer.number;
-        await usersDb.write();
-        importerId = existingUser.id;
-        updatedData.importer.id = importerId;
-      }
-    } else {
-      // New importer - create new user
-      const newImporter = {
-        id: uuidv4(),
-        name: importer.name || '',
-        tin: importer.number
-      };
-      usersDb.data.users.push(newImporter);
-      importerId = newImporter.id;
-      updatedData.importer.id = importerId;
-      await usersDb.write();
+    // Handle importer logic; without an importer in the request keep the existing link
+    let importerId = db.data.declarations[declarationIndex].importer?.id;
+    if (importer) {
+      importerId = await syncImporter(importer);
     }
 
     // Handle exporter - check by ID, associate with importer if provided (supports without TIN)
     if (exporter?.id || exporter?.name) {
-      let exporterId;
-
-      if (exporter.id) {
-        const existingExporter = db.data.exporters.find(e => e.id === exporter.id);
-        if (existingExporter) {
-          // Update association with importer if not already set
-          if (!existingExporter.uid && importerId) {
-            existingExporter.uid = importerId;
-          }
-          // Update fields
-          if (typeof exporter.name === 'string') existingExporter.name = exporter.name;
-          if (typeof exporter.number === 'string') existingExporter.tin = exporter.number;
-          if (typeof exporter.address === 'string') existingExporter.address = exporter.address;
-          if (typeof exporter.city === 'string') existingExporter.city = exporter.city;
-          if (typeof exporter.state === 'string') existingExporter.state = exporter.state;
-          if (typeof exporter.postalcode === 'string') existingExporter.postalcode = exporter.postalcode;
-          if (typeof exporter.country === 'string') existingExporter.country = exporter.country;
-          if (typeof exporter.phone === 'string') existingExporter.phone = exporter.phone;
-          exporterId = existingExporter.id;
-        } else {
-          // Create new exporter with the provided ID
-          const newExporter = {
-            id: exporter.id,
-            name: exporter.name || '',
-            tin: exporter.number || '',
-            address: exporter.address || '',
-            city: exporter.city || '',
-            state: exporter.state || '',
-            postalcode: exporter.postalcode || '',
-            country: exporter.country || '',
-            phone: exporter.phone || '',
-            uid: importerId || null
-          };
-          db.data.exporters.push(newExporter);
-          exporterId = newExporter.id;
-        }
-      } else {
-        // Create new exporter with generated ID
-        const newExporter = {
-          id: uuidv4(),
-          name: exporter.name || '',
-          tin: exporter.number || '',
-          address: exporter.address || '',
-          city: exporter.city || '',
-          state: exporter.state || '',
-          postalcode: exporter.postalcode || '',
-          country: exporter.country || '',
-          phone: exporter.phone || '',
-          uid: importerId || null
-        };
-        db.data.exporters.push(newExporter);
-        exporterId = newExporter.id;
-      }
-
-      updatedData.exporter.id = exporterId;
+      syncExporter(exporter, importerId);
     }
 
     const existingItems = db.data.declarations[declarationIndex].items || [];
@@ -348,109 +508,78 @@ app.put('/declarations/:id', async (req, res) => {
     // changes even if the items themselves weren't replaced in the request.
     const incomingTariffs = Array.isArray(updatedData.items) ? updatedData.items : existingItems;
 
-    // Use valuation from the update if present, otherwise fall back to existing declaration valuation
-    const declarationValuation = updatedData.valuation || db.data.declarations[declarationIndex].valuation || {};
-    const netFreight = parseFloat(declarationValuation.netFreight || 0);
-    const netCost = parseFloat(declarationValuation.netCost || 0);
-    const netInsurance = parseFloat(declarationValuation.netInsurance || 0);
+    // Use valuation and strategy from the update if present, otherwise fall back to the existing declaration
+    const allocationSource = {
+      valuation: updatedData.valuation || db.data.declarations[declarationIndex].valuation || {},
+      allocationStrategy: updatedData.allocationStrategy || db.data.declarations[declarationIndex].allocationStrategy
+    };
 
     let processedTariffs = [];
     if (Array.isArray(incomingTariffs) && incomingTariffs.length > 0) {
-      if (netCost > 0) {
-        const costNums = incomingTariffs.map(t => parseFloat(t.cost || 0));
-        const freightAlloc = allocateProportionalToCents(netFreight, costNums);
-        const insuranceAlloc = allocateProportionalToCents(netInsurance, costNums);
-
-        processedTariffs = incomingTariffs.map((tariff, idx) => ({
-          ...tariff,
-          id: tariff.id || uuidv4(),
-          freight: freightAlloc[idx],
-          insurance: insuranceAlloc[idx]
-        }));
-      } else {
-        // If netCost is 0, divide freight and insurance equally among tariffs
-        const freightAlloc = divideEquallyInCents(netFreight, incomingTariffs.length);
-        const insuranceAlloc = divideEquallyInCents(netInsurance, incomingTariffs.length);
-
-        processedTariffs = incomingTariffs.map((tariff, idx) => ({
-          ...tariff,
-          id: tariff.id || uuidv4(),
-          freight: freightAlloc[idx],
-          insurance: insuranceAlloc[idx]
-        }));
-      }
+      processedTariffs = allocateDeclarationItems(incomingTariffs, allocationSource);
     } else {
       // No tariffs at all: keep existing items as-is
       processedTariffs = existingItems;
     }
 
-    // Persist the updated declaration with recalculated items
-    db.data.declarations[declarationIndex] = { ...updatedData, id, items: processedTariffs };
+    // Persist the updated declaration with recalculated items; status only changes through its own endpoint
+    const previous = db.data.declarations[declarationIndex];
+    const { createdAt, status, statusUpdatedAt } = previous;
+    db.data.declarations[declarationIndex] = {
+      ...updatedData,
+      id,
+      createdAt,
+      status,
+      statusUpdatedAt,
+      allocationStrategy: allocationSource.allocationStrategy,
+      items: processedTariffs
+    };
+    bumpRevision(db.data.declarations[declarationIndex], revisionOf(previous));
+    recordVersion(db.data, {
+      declarationId: id,
+      action: 'update',
+      actor: actorOf(req),
+      before: previous,
+      after: db.data.declarations[declarationIndex]
+    });
 
-    await db.write();
-    res.status(200).json(db.data.declarations[declarationIndex]);
+    await commit(db, usersDb);
+    sendDeclaration(res, 200, db.data.declarations[declarationIndex], { codeIssues: codeCheck.issues });
   } catch (error) {
     console.error('Error updating declaration:', error);
     res.status(500).json({ error: 'Failed to update declaration.' });
   }
-});
-// DELETE a declaration
-app.delete('/declarations/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    await db.read();
-    db.data.declarations = db.data.declarations.filter(d => d.id !== id);
-    await db.write();
-    res.status(200).json({ message: 'Declaration deleted successfully.' });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to delete declaration.' });
-  }
-});
+}));
 
-// DELETE multiple declarations (bulk delete)
-app.delete('/declarations', async (req, res) => {
+// GET the duty assessment for a declaration
+app.get('/declarations/:id/assessment', storeRoute(async (req, res) => {
   try {
-    const { ids } = req.body;
-
-    if (!ids || !Array.isArray(ids) || ids.length === 0) {
-      return res.status(400).json({ error: 'Please provide an array of declaration IDs to delete.' });
+    const { id } = req.params;
+    const declaration = await find.declaration(id);
+    if (!declaration) {
+      return res.status(404).json({ error: 'Declaration not found.' });
     }
 
     await db.read();
-    const initialCount = db.data.declarations.length;
-
-    // Filter out the declarations with the provided IDs
-    db.data.declarations = db.data.declarations.filter(d => !ids.includes(d.id));
-
-    const deletedCount = initialCount - db.data.declarations.length;
-    await db.write();
-
-    res.status(200).json({
-      message: `Successfully deleted ${deletedCount} declaration${deletedCount > 1 ? 's' : ''}.`,
-      deletedCount
-    });
+    res.status(200).json(assessDeclaration(declaration, tariffMapForDeclaration(declaration)));
   } catch (error) {
-    console.error('Error deleting declarations:', error);
-    res.status(500).json({ error: 'Failed to delete declarations.' });
+    console.error('Error assessing declaration:', error);
+    res.status(500).json({ error: 'Failed to assess declaration.' });
   }
-});
-
-// ----------------------------------------------------------------------
-// API Endpoints for Tariffs
-// ----------------------------------------------------------------------
+}));
 
 /**
- * PUT /declarations/:id/tariffs
- * Replaces the entire list of tariffs for a given declaration.
- * This is simpler and more atomic than managing individual add/edit/delete operations.
+ * PUT /declarations/:id/status
+ * Moves a declaration along its lifecycle. Only the transitions in STATUS_TRANSITIONS
+ * are allowed; moving a locked declaration back to draft reopens it for editing.
  */
-app.put('/declarations/:id/tariffs', async (req, res) => {
+app.put('/declarations/:id/status', storeRoute(async (req, res) => {
   try {
     const { id } = req.params;
-    const { tariffs } = req.body;
+    const { status } = req.body;
 
-    if (!tariffs || !Array.isArray(tariffs)) {
-      return res.status(400).json({ error: 'Request body must contain a "tariffs" array.' });
+    if (!status) {
+      return res.status(400).json({ error: 'Request body must contain a "status".' });
     }
 
     await db.read();
@@ -459,309 +588,1693 @@ app.put('/declarations/:id/tariffs', async (req, res) => {
       return res.status(404).json({ error: 'Declaration not found.' });
     }
 
-
-    const netFreight = parseFloat(declaration.valuation.netFreight || 0);
-    const netCost = parseFloat(declaration.valuation.netCost || 0);
-    const netInsurance = parseFloat(declaration.valuation.netInsurance || 0);
-
-    // Create a map for quick lookup of incoming tariffs
-    const incomingMap = new Map();
-
-    let updatedTariffs;
-    if (netCost > 0) {
-      const costNums = tariffs.map(t => parseFloat(t.cost || 0));
-      const freightAlloc = allocateProportionalToCents(netFreight, costNums);
-      const insuranceAlloc = allocateProportionalToCents(netInsurance, costNums);
-
-      updatedTariffs = tariffs.map((tariff, idx) => {
-        const finalId = tariff.id || uuidv4();
-        incomingMap.set(finalId, true);
-        return { ...tariff, id: finalId, freight: freightAlloc[idx], insurance: insuranceAlloc[idx] };
-      });
-    } else {
-      // If netCost is 0, divide freight and insurance equally among tariffs
-      const freightAlloc = divideEquallyInCents(netFreight, tariffs.length);
-      const insuranceAlloc = divideEquallyInCents(netInsurance, tariffs.length);
-
-      updatedTariffs = tariffs.map((tariff, idx) => {
-        const finalId = tariff.id || uuidv4();
-        incomingMap.set(finalId, true);
-        return { ...tariff, id: finalId, freight: freightAlloc[idx], insurance: insuranceAlloc[idx] };
+    const before = structuredClone(declaration);
+    const transitionError = applyStatus(declaration, status);
+    if (transitionError) {
+      return res.status(409).json({
+        error: transitionError,
+        status: statusOf(declaration),
+        allowed: STATUS_TRANSITIONS[statusOf(declaration)] || []
       });
     }
+    bumpRevision(declaration);
+    recordVersion(db.data, { declarationId: id, action: 'status', actor: actorOf(req), before, after: declaration });
 
-    // Remove tariffs that are not in the incoming list
-    declaration.items = (declaration.items || []).filter(t => incomingMap.has(t.id));
-
-    // Update or insert tariffs
-    updatedTariffs.forEach(updated => {
-      const existingIndex = declaration.items.findIndex(t => t.id === updated.id);
-      if (existingIndex !== -1) {
-        declaration.items[existingIndex] = updated; // update
-      } else {
-        declaration.items.push(updated); // new
-      }
-    });
+    await commit(db);
+    sendDeclaration(res, 200, declaration);
+  } catch (error) {
+    console.error('Error updating declaration status:', error);
+    res.status(500).json({ error: 'Failed to update declaration status.' });
+  }
+}));
 
-    await db.write();
-    res.status(200).json(declaration);
+// POST reopen an exported, accepted or rejected declaration so it can be edited again
+app.post('/declarations/:id/reopen', storeRoute(async (req, res) => {
+  try {
+    const { id } = req.params;
+    await db.read();
+    const declaration = db.data.declarations.find(d => d.id === id);
+    if (!declaration) {
+      return res.status(404).json({ error: 'Declaration not found.' });
+    }
+    if (!isLocked(declaration)) {
+      return res.status(409).json({ error: 'Only exported, accepted or rejected declarations can be reopened.' });
+    }
 
+    const before = structuredClone(declaration);
+    applyStatus(declaration, 'draft');
+    bumpRevision(declaration);
+    recordVersion(db.data, { declarationId: id, action: 'reopen', actor: actorOf(req), before, after: declaration });
+    await commit(db);
+    sendDeclaration(res, 200, declaration);
   } catch (error) {
-    console.error('Error updating tariffs:', error);
-    res.status(500).json({ error: 'Failed to update tariffs.' });
+    console.error('Error reopening declaration:', error);
+    res.status(500).json({ error: 'Failed to reopen declaration.' });
   }
-});
+}));
 
-// Get all tariffs
-app.get('/tariffs', async (req, res) => {
-  await db.read();
-  const codes = db.data.tariffs || [];
-  res.json(codes);
+// GET the list of declaration statuses and the transitions allowed from each
+app.get('/declaration-statuses', (req, res) => {
+  res.status(200).json({ statuses: DECLARATION_STATUSES, transitions: STATUS_TRANSITIONS });
 });
 
-// GET all users
-app.get('/users', async (req, res) => {
-  try {
-    await usersDb.read();
-    const users = usersDb.data.users || [];
-    res.status(200).json(users);
-  } catch (error) {
-    console.error('Failed to fetch users:', error);
-    res.status(500).json({ error: 'Failed to fetch users.' });
-  }
+// GET the transport modes, their accepted spellings and default discharge ports
+app.get('/transport-modes', (req, res) => {
+  res.status(200).json(TRANSPORT_MODES);
 });
 
-// GET all exporters
-app.get('/exporters', async (req, res) => {
+// GET the version history of a declaration (including deleted ones)
+app.get('/declarations/:id/history', storeRoute(async (req, res) => {
   try {
+    const { id } = req.params;
     await db.read();
-    const exporters = db.data.exporters || [];
-    res.status(200).json(exporters);
+    const versions = listVersions(db.data, id);
+    if (versions.length === 0) {
+      return res.status(404).json({ error: 'No history found for this declaration.' });
+    }
+
+    res.status(200).json(versions);
   } catch (error) {
-    console.error('Failed to fetch exporters:', error);
-    res.status(500).json({ error: 'Failed to fetch exporters.' });
+    console.error('Error fetching declaration history:', error);
+    res.status(500).json({ error: 'Failed to fetch declaration history.' });
   }
-});
+}));
 
-// GET exporters for a specific importer
-app.get('/exporters/by-importer/:importerId', async (req, res) => {
+// GET a single past version of a declaration, with its full snapshot
+app.get('/declarations/:id/history/:version', storeRoute(async (req, res) => {
   try {
-    const { importerId } = req.params;
+    const { id, version } = req.params;
     await db.read();
-    const exporters = db.data.exporters.filter(e => e.uid === importerId) || [];
-    res.status(200).json(exporters);
+    const entry = getVersion(db.data, id, version);
+    if (!entry) {
+      return res.status(404).json({ error: 'Version not found.' });
+    }
+
+    res.status(200).json(entry);
   } catch (error) {
-    console.error('Failed to fetch exporters:', error);
-    res.status(500).json({ error: 'Failed to fetch exporters.' });
+    console.error('Error fetching declaration version:', error);
+    res.status(500).json({ error: 'Failed to fetch declaration version.' });
   }
-});
+}));
 
-app.get('/master-bill', async (req, res) => {
+/**
+ * POST /declarations/:id/history/:version/restore
+ * Restores a declaration's content to a past version, re-creating it if it was deleted.
+ * The lifecycle status is not rolled back: a restored declaration keeps its current
+ * status, or comes back as a draft if it had been deleted. A deleted one comes out of the
+ * trash as through POST /declarations/trash/restore, with `unassignedIds` in the response.
+ */
+app.post('/declarations/:id/history/:version/restore', storeRoute(async (req, res) => {
   try {
+    const { id, version } = req.params;
     await db.read();
+    const entry = getVersion(db.data, id, version);
+    if (!entry) {
+      return res.status(404).json({ error: 'Version not found.' });
+    }
 
-    // Check if master bill exists in database
-    if (!db.data.masterBill) {
-      return res.status(404).json({
-        error: 'No master bill found in database.',
-        masterBill: null
-      });
+    const index = db.data.declarations.findIndex(d => d.id === id);
+    const current = index === -1 ? null : db.data.declarations[index];
+    if (current && isLocked(current)) {
+      return res.status(409).json(lockedResponse(current));
     }
 
-    // Return the master bill data
-    res.status(200).json(db.data.masterBill);
+    const restored = {
+      ...structuredClone(entry.snapshot),
+      id,
+      status: current ? current.status : 'draft',
+      statusUpdatedAt: current ? current.statusUpdatedAt : new Date().toISOString()
+    };
+    // Revisions keep counting up across restores so older ETags never match again
+    bumpRevision(restored, Math.max(revisionOf(current), revisionOf(entry.snapshot)));
+    let extra = {};
+    if (current) {
+      db.data.declarations[index] = restored;
+    } else {
+      // A deleted declaration brought back from history leaves the trash as a trash restore
+      // would, back on its master bill when that is still possible, then takes the old content
+      const { unassigned } = restoreFromTrash(db.data, [id]);
+      const trashedIndex = db.data.declarations.findIndex(d => d.id === id);
+      if (trashedIndex === -1) db.data.declarations.push(restored);
+      else db.data.declarations[trashedIndex] = restored;
+      extra = { unassignedIds: unassigned };
+    }
+    recordVersion(db.data, {
+      declarationId: id,
+      action: 'restore',
+      actor: actorOf(req),
+      restoredFrom: entry.version,
+      before: current,
+      after: restored
+    });
 
+    await commit(db);
+    sendDeclaration(res, 200, restored, extra);
   } catch (error) {
-    console.error('Error fetching master bill:', error);
-    res.status(500).json({
-      error: 'An internal server error occurred while fetching master bill.'
-    });
+    console.error('Error restoring declaration:', error);
+    res.status(500).json({ error: 'Failed to restore declaration.' });
   }
-});
+}));
 
-// ----------------------------------------------------------------------
-// XML Generation (reading from DB)
-// ----------------------------------------------------------------------
-app.post('/generate-xml', async (req, res) => {
-  // Accept either `{ masterBill: {...}, selectedIds: [...] }` or legacy raw masterBill body
-  const requestBody = req.body || {};
-  const masterBill = requestBody.masterBill || requestBody;
-  const selectedIds = Array.isArray(requestBody.selectedIds)
-    ? requestBody.selectedIds
-    : (Array.isArray(requestBody.ids) ? requestBody.ids : []);
+// GET the JSON Schema every declaration write is validated against
+app.get('/schemas/declaration', (req, res) => {
+  res.status(200).json(declarationSchema);
+});
 
+// GET the registered customs SADEntry XSD
+app.get('/schemas/sadentry', storeRoute(async (req, res) => {
   try {
     await db.read();
-    const allDeclarations = db.data.declarations || [];
-
-    // If selectedIds provided, filter the declarations to only those IDs
-    let declarationsToUse = allDeclarations;
-    if (selectedIds && selectedIds.length > 0) {
-      declarationsToUse = allDeclarations.filter(d => selectedIds.includes(d.id));
-      if (!declarationsToUse || declarationsToUse.length === 0) {
-        return res.status(400).json({ error: 'No declarations match the selected IDs.' });
-      }
+    if (!db.data.sadEntrySchema) {
+      return res.status(404).json({ error: 'No SADEntry schema has been registered.' });
     }
+    res.header('Content-Type', 'application/xml');
+    res.status(200).send(db.data.sadEntrySchema.contents);
+  } catch (error) {
+    console.error('Error fetching SADEntry schema:', error);
+    res.status(500).json({ error: 'Failed to fetch SADEntry schema.' });
+  }
+}));
 
-    if (!declarationsToUse || declarationsToUse.length === 0) {
-      return res.status(400).json({ error: 'No declarations in DB.' });
+// PUT registers the customs SADEntry XSD (multipart `file`); generate-xml validates every
+// document against it from then on
+app.put('/schemas/sadentry', upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  try {
+    const contents = fs.readFileSync(req.file.path, 'utf-8');
+    fs.unlinkSync(req.file.path);
+
+    const schemaError = await checkSchema(contents);
+    if (schemaError) {
+      return res.status(400).json({ error: 'The XSD could not be compiled.', details: schemaError });
     }
 
-    // Save master bill data to database (single object, not array)
-    const masterBillEntry = {
+    const registeredAt = new Date().toISOString();
+    await stores.run(async () => {
+      await db.read();
+      db.data.sadEntrySchema = { fileName: req.file.originalname, registeredAt, contents };
+      await commit(db);
+    });
+    res.status(200).json({ fileName: req.file.originalname, registeredAt });
+  } catch (error) {
+    console.error('Error registering SADEntry schema:', error);
+    res.status(500).json({ error: 'Failed to register SADEntry schema.' });
+  }
+});
+
+// DELETE unregisters the SADEntry XSD; generated XML is then sent unvalidated
+app.delete('/schemas/sadentry', storeRoute(async (req, res) => {
+  try {
+    await db.read();
+    delete db.data.sadEntrySchema;
+    await commit(db);
+    res.status(200).json({ message: 'SADEntry schema removed.' });
+  } catch (error) {
+    console.error('Error removing SADEntry schema:', error);
+    res.status(500).json({ error: 'Failed to remove SADEntry schema.' });
+  }
+}));
+
+// ----------------------------------------------------------------------
+// Declaration Trash
+// ----------------------------------------------------------------------
+
+// GET deleted declarations still in the trash, newest first
+app.get('/declarations/trash', storeRoute(async (req, res) => {
+  try {
+    await db.read();
+    const trash = [...(db.data.declarationTrash || [])]
+      .sort((a, b) => (a.deletedAt < b.deletedAt ? 1 : -1));
+    res.status(200).json({ retentionDays: trashRetentionDays, declarations: trash });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Failed to fetch trash.' });
+  }
+}));
+
+// POST restore declarations from the trash
+app.post('/declarations/trash/restore', storeRoute(async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    if (!ids || !Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'Please provide an array of declaration IDs to restore.' });
+    }
+
+    await db.read();
+    const { restored, skipped, unassigned } = restoreFromTrash(db.data, ids);
+    restored.forEach(declaration => recordVersion(db.data, {
+      declarationId: declaration.id,
+      action: 'undelete',
+      actor: actorOf(req),
+      before: null,
+      after: declaration
+    }));
+    await commit(db);
+
+    res.status(200).json({
+      message: `Restored ${restored.length} declaration${restored.length === 1 ? '' : 's'} from trash.`,
+      restoredIds: restored.map(d => d.id),
+      skippedIds: skipped,
+      // Restored, but no longer on the master bill they were deleted from
+      unassignedIds: unassigned
+    });
+  } catch (error) {
+    console.error('Error restoring declarations from trash:', error);
+    res.status(500).json({ error: 'Failed to restore declarations.' });
+  }
+}));
+
+// DELETE declarations from the trash permanently
+app.delete('/declarations/trash', storeRoute(async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    if (!ids || !Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'Please provide an array of declaration IDs to purge.' });
+    }
+
+    await db.read();
+    const purged = purgeFromTrash(db.data, ids);
+    await commit(db);
+
+    res.status(200).json({
+      message: `Purged ${purged.length} declaration${purged.length === 1 ? '' : 's'}.`,
+      purgedCount: purged.length
+    });
+  } catch (error) {
+    console.error('Error purging declarations:', error);
+    res.status(500).json({ error: 'Failed to purge declarations.' });
+  }
+}));
+
+/**
+ * Purge trashed declarations older than the retention period.
+ * Runs on startup and then hourly.
+ */
+async function purgeExpiredTrash() {
+  await stores.run(async () => {
+    try {
+      await db.read();
+      const ids = expiredTrashIds(db.data, trashRetentionDays);
+      if (ids.length === 0) return;
+
+      purgeFromTrash(db.data, ids);
+      await commit(db);
+      console.log(`Purged ${ids.length} expired declaration${ids.length === 1 ? '' : 's'} from trash.`);
+    } catch (error) {
+      console.error('Error purging expired trash:', error);
+    }
+  });
+}
+
+// GET a single declaration
+app.get('/declarations/:id', storeRoute(async (req, res) => {
+  try {
+    const { id } = req.params;
+    const declaration = await find.declaration(id);
+    if (!declaration) {
+      return res.status(404).json({ error: 'Declaration not found.' });
+    }
+
+    await db.read();
+    sendDeclaration(res, 200, declaration);
+  } catch (error) {
+    console.error('Error fetching declaration:', error);
+    res.status(500).json({ error: 'Failed to fetch declaration.' });
+  }
+}));
+
+// Fields the server manages itself; they are ignored in a PATCH body
+const SERVER_MANAGED_FIELDS = [
+  'id',
+  'createdAt',
+  'updatedAt',
+  'revision',
+  'status',
+  'statusUpdatedAt',
+  'assessment',
+  'codeIssues'
+];
+
+/**
+ * PATCH /declarations/:id
+ * Applies a JSON Merge Patch to the declaration. Item freight/insurance is only recalculated
+ * when items, valuation or the allocation strategy are patched, and the importer/exporter
+ * records are only touched when those sub-objects are present in the patch.
+ */
+app.patch('/declarations/:id', storeRoute(async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isPlainObject(req.body)) {
+      return res.status(400).json({ error: 'Request body must be a JSON merge patch object.' });
+    }
+
+    const changes = Object.fromEntries(
+      Object.entries(req.body).filter(([key]) => !SERVER_MANAGED_FIELDS.includes(key))
+    );
+    if (changes.allocationStrategy && !isValidAllocationStrategy(changes.allocationStrategy)) {
+      return res.status(400).json({ error: `Unknown allocation strategy "${changes.allocationStrategy}".` });
+    }
+
+    await db.read();
+    await usersDb.read();
+
+    const declarationIndex = db.data.declarations.findIndex(d => d.id === id);
+    if (declarationIndex === -1) {
+      return res.status(404).json({ error: 'Declaration not found.' });
+    }
+    const previous = db.data.declarations[declarationIndex];
+    if (rejectStaleWrite(req, res, previous)) return;
+    if (isLocked(previous)) {
+      return res.status(409).json(lockedResponse(previous));
+    }
+
+    const patched = applyMergePatch(previous, changes);
+
+    const validationErrors = validateDeclaration(patched);
+    if (validationErrors.length > 0) {
+      return res.status(422).json(validationErrorResponse(validationErrors));
+    }
+
+    const codeCheck = 'items' in changes
+      ? checkItemCodes(req, patched.items || [], patched)
+      : { issues: [], blocked: false };
+    if (codeCheck.blocked) {
+      return res.status(422).json(codeIssuesResponse(codeCheck.issues));
+    }
+
+    const overAllocated = 'items' in changes || 'valuation' in changes || 'allocationStrategy' in changes
+      ? findOverAllocatedCharges(patched.items || [], patched)
+      : [];
+    if (overAllocated.length > 0) {
+      return res.status(422).json(overAllocationResponse(overAllocated));
+    }
+
+    let importerId = patched.importer?.id;
+    if (changes.importer && patched.importer) {
+      importerId = await syncImporter(patched.importer);
+    }
+    if (changes.exporter && (patched.exporter?.id || patched.exporter?.name)) {
+      syncExporter(patched.exporter, importerId);
+    }
+
+    if ('items' in changes || 'valuation' in changes || 'allocationStrategy' in changes) {
+      patched.items = allocateDeclarationItems(patched.items || [], patched);
+    }
+
+    bumpRevision(patched, revisionOf(previous));
+    db.data.declarations[declarationIndex] = patched;
+    recordVersion(db.data, {
+      declarationId: id,
+      action: 'update',
+      actor: actorOf(req),
+      before: previous,
+      after: patched
+    });
+
+    await commit(db, usersDb);
+    sendDeclaration(res, 200, patched, { codeIssues: codeCheck.issues });
+  } catch (error) {
+    console.error('Error patching declaration:', error);
+    res.status(500).json({ error: 'Failed to update declaration.' });
+  }
+}));
+
+// DELETE a declaration
+app.delete('/declarations/:id', storeRoute(async (req, res) => {
+  try {
+    const { id } = req.params;
+    await db.read();
+    const declaration = db.data.declarations.find(d => d.id === id);
+    if (declaration && rejectStaleWrite(req, res, declaration)) return;
+    if (declaration && isLocked(declaration)) {
+      return res.status(409).json(lockedResponse(declaration));
+    }
+
+    if (declaration) {
+      recordVersion(db.data, { declarationId: id, action: 'delete', actor: actorOf(req), before: declaration, after: null });
+    }
+    moveToTrash(db.data, [id], actorOf(req));
+    await commit(db);
+    res.status(200).json({ message: 'Declaration moved to trash.' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete declaration.' });
+  }
+}));
+
+// DELETE multiple declarations (bulk delete). `revisions` maps each id to the revision (ETag)
+// it was loaded at, the bulk form of If-Match.
+app.delete('/declarations', storeRoute(async (req, res) => {
+  try {
+    const { ids, revisions } = req.body;
+
+    if (!ids || !Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'Please provide an array of declaration IDs to delete.' });
+    }
+
+    await db.read();
+    const { missingIds, stale } = checkRevisions(db.data.declarations.filter(d => ids.includes(d.id)), revisions);
+    if (missingIds.length > 0) {
+      return res.status(428).json({ error: 'A revision is required for every declaration being deleted.', missingIds });
+    }
+    if (stale.length > 0) {
+      return res.status(412).json({ error: 'Some declarations have been modified since they were loaded.', current: stale });
+    }
+
+    const lockedIds = db.data.declarations
+      .filter(d => ids.includes(d.id) && isLocked(d))
+      .map(d => d.id);
+    if (lockedIds.length > 0) {
+      return res.status(409).json({
+        error: 'Some declarations are exported; reopen them before deleting.',
+        lockedIds
+      });
+    }
+
+    db.data.declarations
+      .filter(d => ids.includes(d.id))
+      .forEach(d => recordVersion(db.data, {
+        declarationId: d.id,
+        action: 'delete',
+        actor: actorOf(req),
+        before: d,
+        after: null
+      }));
+
+    // Move the declarations with the provided IDs to the trash
+    const deletedCount = moveToTrash(db.data, ids, actorOf(req)).length;
+    await commit(db);
+
+    res.status(200).json({
+      message: `Moved ${deletedCount} declaration${deletedCount === 1 ? '' : 's'} to trash.`,
+      deletedCount
+    });
+  } catch (error) {
+    console.error('Error deleting declarations:', error);
+    res.status(500).json({ error: 'Failed to delete declarations.' });
+  }
+}));
+
+// ----------------------------------------------------------------------
+// API Endpoints for Tariffs
+// ----------------------------------------------------------------------
+
+/**
+ * PUT /declarations/:id/tariffs
+ * Replaces the entire list of tariffs for a given declaration.
+ * This is simpler and more atomic than managing individual add/edit/delete operations.
+ */
+app.put('/declarations/:id/tariffs', storeRoute(async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { tariffs, allocationStrategy } = req.body;
+
+    if (!tariffs || !Array.isArray(tariffs)) {
+      return res.status(400).json({ error: 'Request body must contain a "tariffs" array.' });
+    }
+    if (allocationStrategy && !isValidAllocationStrategy(allocationStrategy)) {
+      return res.status(400).json({ error: `Unknown allocation strategy "${allocationStrategy}".` });
+    }
+
+    await db.read();
+    const declaration = db.data.declarations.find(d => d.id === id);
+    if (!declaration) {
+      return res.status(404).json({ error: 'Declaration not found.' });
+    }
+    if (rejectStaleWrite(req, res, declaration)) return;
+    if (isLocked(declaration)) {
+      return res.status(409).json(lockedResponse(declaration));
+    }
+
+    const validationErrors = validateDeclaration({ ...declaration, items: tariffs });
+    if (validationErrors.length > 0) {
+      return res.status(422).json(validationErrorResponse(validationErrors));
+    }
+
+    const codeCheck = checkItemCodes(req, tariffs, declaration);
+    if (codeCheck.blocked) {
+      return res.status(422).json(codeIssuesResponse(codeCheck.issues));
+    }
+
+    const overAllocated = findOverAllocatedCharges(tariffs, declaration);
+    if (overAllocated.length > 0) {
+      return res.status(422).json(overAllocationResponse(overAllocated));
+    }
+
+    const before = structuredClone(declaration);
+    if (allocationStrategy) {
+      declaration.allocationStrategy = allocationStrategy;
+    }
+
+    const updatedTariffs = allocateDeclarationItems(tariffs, declaration);
+    const incomingMap = new Map(updatedTariffs.map(t => [t.id, true]));
+
+    // Remove tariffs that are not in the incoming list
+    declaration.items = (declaration.items || []).filter(t => incomingMap.has(t.id));
+
+    // Update or insert tariffs
+    updatedTariffs.forEach(updated => {
+      const existingIndex = declaration.items.findIndex(t => t.id === updated.id);
+      if (existingIndex !== -1) {
+        declaration.items[existingIndex] = updated; // update
+      } else {
+        declaration.items.push(updated); // new
+      }
+    });
+    bumpRevision(declaration);
+    recordVersion(db.data, { declarationId: id, action: 'tariffs', actor: actorOf(req), before, after: declaration });
+
+    await commit(db);
+    sendDeclaration(res, 200, declaration, { codeIssues: codeCheck.issues });
+
+  } catch (error) {
+    console.error('Error updating tariffs:', error);
+    res.status(500).json({ error: 'Failed to update tariffs.' });
+  }
+}));
+
+// Get all tariffs in force today, or on the date given as ?date=YYYY-MM-DD
+app.get('/tariffs', storeRoute(async (req, res) => {
+  await db.read();
+  const codes = tariffsForDate(db.data, req.query.date);
+  res.json(codes);
+}));
+
+// ----------------------------------------------------------------------
+// API Endpoints for Tariff Schedules
+// ----------------------------------------------------------------------
+
+// GET all tariff schedule versions (without their tariff rows)
+app.get('/tariff-schedules', storeRoute(async (req, res) => {
+  try {
+    await db.read();
+    const schedules = (db.data.tariffSchedules || [])
+      .map(scheduleSummary)
+      .sort((a, b) => (a.effectiveFrom < b.effectiveFrom ? -1 : 1));
+    const current = resolveSchedule(db.data.tariffSchedules);
+    res.status(200).json({ currentScheduleId: current?.id || null, schedules });
+  } catch (error) {
+    console.error('Failed to fetch tariff schedules:', error);
+    res.status(500).json({ error: 'Failed to fetch tariff schedules.' });
+  }
+}));
+
+// GET which codes were added, removed or re-rated between two schedule versions
+app.get('/tariff-schedules/diff', storeRoute(async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!from || !to) {
+      return res.status(400).json({ error: 'Provide "from" and "to" schedule IDs.' });
+    }
+
+    await db.read();
+    const schedules = db.data.tariffSchedules || [];
+    const fromSchedule = schedules.find(s => s.id === from);
+    const toSchedule = schedules.find(s => s.id === to);
+    if (!fromSchedule || !toSchedule) {
+      return res.status(404).json({ error: 'Tariff schedule not found.' });
+    }
+
+    res.status(200).json({
+      from: scheduleSummary(fromSchedule),
+      to: scheduleSummary(toSchedule),
+      ...diffSchedules(fromSchedule.tariffs, toSchedule.tariffs)
+    });
+  } catch (error) {
+    console.error('Failed to diff tariff schedules:', error);
+    res.status(500).json({ error: 'Failed to diff tariff schedules.' });
+  }
+}));
+
+// GET a single tariff schedule with its tariff rows
+app.get('/tariff-schedules/:id', storeRoute(async (req, res) => {
+  try {
+    const { id } = req.params;
+    await db.read();
+    const schedule = (db.data.tariffSchedules || []).find(s => s.id === id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Tariff schedule not found.' });
+    }
+
+    res.status(200).json(schedule);
+  } catch (error) {
+    console.error('Failed to fetch tariff schedule:', error);
+    res.status(500).json({ error: 'Failed to fetch tariff schedule.' });
+  }
+}));
+
+/**
+ * POST /tariff-schedules
+ * Uploads a tariffs.csv file as a new schedule version. Form fields: `name`,
+ * `effectiveFrom` (required) and `effectiveTo` (optional), as YYYY-MM-DD dates.
+ */
+app.post('/tariff-schedules', upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  const effectiveFrom = toIsoDate(req.body.effectiveFrom);
+  const effectiveTo = req.body.effectiveTo ? toIsoDate(req.body.effectiveTo) : null;
+  if (!effectiveFrom || (req.body.effectiveTo && !effectiveTo)) {
+    fs.unlinkSync(req.file.path);
+    return res.status(400).json({ error: 'effectiveFrom and effectiveTo must be valid dates.' });
+  }
+  if (effectiveTo && effectiveTo < effectiveFrom) {
+    fs.unlinkSync(req.file.path);
+    return res.status(400).json({ error: 'effectiveTo must not be before effectiveFrom.' });
+  }
+
+  try {
+    const fileContent = fs.readFileSync(req.file.path);
+    const records = [];
+
+    await new Promise((resolve, reject) => {
+      parse(fileContent, {
+        columns: true,
+        trim: true,
+        skip_empty_lines: true,
+      })
+        .on('data', (data) => records.push(data))
+        .on('end', resolve)
+        .on('error', reject);
+    });
+
+    fs.unlinkSync(req.file.path);
+
+    if (records.length === 0) {
+      return res.status(400).json({ error: 'The uploaded file contains no tariffs.' });
+    }
+
+    const schedule = {
       id: uuidv4(),
+      name: req.body.name || req.file.originalname,
+      effectiveFrom,
+      effectiveTo,
       createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      ...masterBill
+      tariffs: records.map(tariffFromCsvRow)
     };
 
-    // Save the master bill as a single object
-    db.data.masterBill = masterBillEntry;
+    const startError = await stores.run(async () => {
+      await db.read();
+      db.data.tariffSchedules ||= [];
+      const error = checkScheduleStart(db.data.tariffSchedules, effectiveFrom);
+      if (error) return error;
+      db.data.tariffSchedules.push(schedule);
+      await commit(db);
+      return null;
+    });
+    if (startError) {
+      return res.status(409).json({ error: startError });
+    }
+
+    res.status(201).json(scheduleSummary(schedule));
+  } catch (error) {
+    console.error('Error importing tariff schedule:', error);
+    if (fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    res.status(500).json({ error: 'Failed to import tariff schedule.' });
+  }
+});
+
+// GET tariffs matching a code prefix and/or description terms, ranked and paginated
+app.get('/tariffs/search', storeRoute(async (req, res) => {
+  try {
+    const { code, q, leafOnly } = req.query;
+    if (!code && !q) {
+      return res.status(400).json({ error: 'Provide a "code" prefix and/or "q" search terms.' });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize, 10) || 20));
+
+    // No db.read() here: the index is served from memory and refreshed when the table changes
+    tariffIndex = ensureTariffIndex(tariffIndex, tariffsForDate(db.data), resolveSchedule(db.data.tariffSchedules)?.id);
+    res.status(200).json(searchTariffs(tariffIndex, {
+      code,
+      q,
+      leafOnly: leafOnly === 'true' || leafOnly === '1',
+      page,
+      pageSize
+    }));
+  } catch (error) {
+    console.error('Failed to search tariffs:', error);
+    res.status(500).json({ error: 'Failed to search tariffs.' });
+  }
+}));
+
+// GET the top level of the tariff tree (chapters)
+app.get('/tariffs/chapters', storeRoute(async (req, res) => {
+  try {
+    await db.read();
+    const tree = buildTariffTree(tariffsForDate(db.data));
+    res.status(200).json(tree.roots.map(t => toTreeNode(tree, t)));
+  } catch (error) {
+    console.error('Failed to fetch tariff chapters:', error);
+    res.status(500).json({ error: 'Failed to fetch tariff chapters.' });
+  }
+}));
+
+// GET the direct children of a tariff node
+app.get('/tariffs/:id/children', storeRoute(async (req, res) => {
+  try {
+    const { id } = req.params;
+    await db.read();
+    const tree = buildTariffTree(tariffsForDate(db.data));
+    if (!tree.byId.has(String(id))) {
+      return res.status(404).json({ error: 'Tariff not found.' });
+    }
+
+    res.status(200).json(getChildren(tree, id).map(t => toTreeNode(tree, t)));
+  } catch (error) {
+    console.error('Failed to fetch tariff children:', error);
+    res.status(500).json({ error: 'Failed to fetch tariff children.' });
+  }
+}));
+
+// GET the ancestor path (chapter down to the code itself) of a tariff code
+app.get('/tariffs/path/:code', storeRoute(async (req, res) => {
+  try {
+    const { code } = req.params;
+    await db.read();
+    const schedule = resolveSchedule(db.data.tariffSchedules, null);
+    const tariffs = schedule ? schedule.tariffs : (db.data.tariffs || []);
+    const found = await find.tariff(code, schedule?.id);
+    if (!found) {
+      return res.status(404).json({ error: 'Tariff not found.' });
+    }
+
+    const tree = buildTariffTree(tariffs);
+    const tariff = tree.byId.get(String(found.id)) || found;
+    res.status(200).json(getAncestorPath(tree, tariff).map(t => toTreeNode(tree, t)));
+  } catch (error) {
+    console.error('Failed to fetch tariff path:', error);
+    res.status(500).json({ error: 'Failed to fetch tariff path.' });
+  }
+}));
+
+// GET all users
+app.get('/users', storeRoute(async (req, res) => {
+  try {
+    await usersDb.read();
+    const users = usersDb.data.users || [];
+    res.status(200).json(users);
+  } catch (error) {
+    console.error('Failed to fetch users:', error);
+    res.status(500).json({ error: 'Failed to fetch users.' });
+  }
+}));
+
+// GET all exporters
+app.get('/exporters', storeRoute(async (req, res) => {
+  try {
+    await db.read();
+    const exporters = db.data.exporters || [];
+    res.status(200).json(exporters);
+  } catch (error) {
+    console.error('Failed to fetch exporters:', error);
+    res.status(500).json({ error: 'Failed to fetch exporters.' });
+  }
+}));
+
+// GET exporters for a specific importer
+app.get('/exporters/by-importer/:importerId', storeRoute(async (req, res) => {
+  try {
+    const { importerId } = req.params;
+    const exporters = await find.exporters({ importerId });
+    res.status(200).json(exporters);
+  } catch (error) {
+    console.error('Failed to fetch exporters:', error);
+    res.status(500).json({ error: 'Failed to fetch exporters.' });
+  }
+}));
+
+// ----------------------------------------------------------------------
+// API Endpoints for Master Bills
+// ----------------------------------------------------------------------
+
+function findMasterBill(id) {
+  return (db.data.masterBills || []).find(m => m.id === id) || null;
+}
+
+// Ids in `declarationIds` that are not live declarations
+function unknownDeclarationIds(declarationIds) {
+  return declarationIds.filter(id => !db.data.declarations.some(d => d.id === id));
+}
+
+function checkDeclarationIds(declarationIds) {
+  if (declarationIds === undefined) return null;
+  if (!Array.isArray(declarationIds)) return 'declarationIds must be an array.';
+  const unknownIds = unknownDeclarationIds(declarationIds);
+  return unknownIds.length > 0 ? `Unknown declaration IDs: ${unknownIds.join(', ')}.` : null;
+}
+
+const assignmentConflictResponse = conflicts => ({
+  error: 'Some declarations are already assigned to another open master bill.',
+  conflicts
+});
+
+const closedMasterBillResponse = masterBill => ({
+  error: 'Master bill is closed; reopen it to change its declarations.',
+  status: masterBill.status
+});
+
+function renderSadEntry(declarations, masterBill, options) {
+  return sadEntryFormat.render({
+    declarations,
+    masterBill,
+    ...options,
+    tariffMapFor: d => tariffMapForDeclaration(d, masterBill)
+  });
+}
+
+function masterBillAssessment(masterBill) {
+  const declarationIds = masterBill.declarationIds || [];
+  const declarations = db.data.declarations.filter(d => declarationIds.includes(d.id));
+  return assessMasterBill(masterBill, declarations, d => tariffMapForDeclaration(d, masterBill));
+}
+
+function sendSadEntry(res, xmlData) {
+  res.header('Content-Type', 'application/xml');
+  res.header('Content-Disposition', 'attachment; filename="SADEntry.xml"');
+  res.status(200).send(xmlData);
+}
+
+// GET all master bills, oldest first
+app.get('/master-bills', storeRoute(async (req, res) => {
+  try {
+    await db.read();
+    res.status(200).json((db.data.masterBills || []).map(summarizeMasterBill));
+  } catch (error) {
+    console.error('Error fetching master bills:', error);
+    res.status(500).json({ error: 'Failed to fetch master bills.' });
+  }
+}));
+
+// GET the latest master bill (kept for clients written before master bills were a list)
+app.get('/master-bill', storeRoute(async (req, res) => {
+  try {
+    await db.read();
+    const masterBill = latestMasterBill(db.data);
+
+    // Check if master bill exists in database
+    if (!masterBill) {
+      return res.status(404).json({
+        error: 'No master bill found in database.',
+        masterBill: null
+      });
+    }
+
+    // Return the master bill data
+    res.status(200).json(masterBill);
+
+  } catch (error) {
+    console.error('Error fetching master bill:', error);
+    res.status(500).json({
+      error: 'An internal server error occurred while fetching master bill.'
+    });
+  }
+}));
+
+// GET the duty assessment rolled up across the latest master bill's declarations
+app.get('/master-bill/assessment', storeRoute(async (req, res) => {
+  try {
+    await db.read();
+    const masterBill = latestMasterBill(db.data);
+    if (!masterBill) {
+      return res.status(404).json({ error: 'No master bill found in database.' });
+    }
+    res.status(200).json(masterBillAssessment(masterBill));
+  } catch (error) {
+    console.error('Error assessing master bill:', error);
+    res.status(500).json({ error: 'Failed to assess master bill.' });
+  }
+}));
+
+app.get('/master-bills/:id', storeRoute(async (req, res) => {
+  try {
+    await db.read();
+    const masterBill = findMasterBill(req.params.id);
+    if (!masterBill) {
+      return res.status(404).json({ error: 'Master bill not found.' });
+    }
+    res.status(200).json(masterBill);
+  } catch (error) {
+    console.error('Error fetching master bill:', error);
+    res.status(500).json({ error: 'Failed to fetch master bill.' });
+  }
+}));
+
+// GET the duty assessment rolled up across a master bill's declarations
+app.get('/master-bills/:id/assessment', storeRoute(async (req, res) => {
+  try {
+    await db.read();
+    const masterBill = findMasterBill(req.params.id);
+    if (!masterBill) {
+      return res.status(404).json({ error: 'Master bill not found.' });
+    }
+    res.status(200).json(masterBillAssessment(masterBill));
+  } catch (error) {
+    console.error('Error assessing master bill:', error);
+    res.status(500).json({ error: 'Failed to assess master bill.' });
+  }
+}));
+
+// GET the master bill's package, weight and volume figures checked against its declarations
+// and containers. ?tolerance= sets the allowed difference as a percentage of the master figure.
+app.get('/master-bills/:id/reconciliation', storeRoute(async (req, res) => {
+  try {
+    const tolerance = parseTolerance(req.query.tolerance);
+    if (tolerance === null) {
+      return res.status(400).json({ error: 'tolerance must be a non-negative number.' });
+    }
+
+    await db.read();
+    const masterBill = findMasterBill(req.params.id);
+    if (!masterBill) {
+      return res.status(404).json({ error: 'Master bill not found.' });
+    }
+
+    const declarationIds = masterBill.declarationIds || [];
+    const declarations = db.data.declarations.filter(d => declarationIds.includes(d.id));
+    res.status(200).json({
+      masterBillId: masterBill.id,
+      ...reconcileMasterBill(masterBill, declarations, { tolerance })
+    });
+  } catch (error) {
+    console.error('Error reconciling master bill:', error);
+    res.status(500).json({ error: 'Failed to reconcile master bill.' });
+  }
+}));
+
+// GET the XML last generated for a master bill, as archived; the download is logged
+app.get('/master-bills/:id/xml', storeRoute(async (req, res) => {
+  try {
+    await db.read();
+    const masterBill = findMasterBill(req.params.id);
+    if (!masterBill) {
+      return res.status(404).json({ error: 'Master bill not found.' });
+    }
+    if (!masterBill.generation) {
+      return res.status(404).json({ error: 'No XML has been generated for this master bill yet.' });
+    }
+
+    const archived = latestExportOf(db.data, masterBill.id);
+    if (archived) {
+      recordDownload(archived, actorOf(req));
+      await commit(db);
+      res.header('X-Export-Id', archived.id);
+      res.header('X-Content-SHA256', archived.sha256);
+      return sendSadEntry(res, archived.contents);
+    }
+
+    // Generated before exports were archived: rebuild the file from the generation record.
+    // Files generated before broker profiles existed used the default header
+    const { generatedAt, masterBill: recorded, declarations, profile } = masterBill.generation;
+    sendSadEntry(res, renderSadEntry(declarations, recorded, { profile: profile || DEFAULT_BROKER_PROFILE, generatedAt }));
+  } catch (error) {
+    console.error('Error regenerating master bill XML:', error);
+    res.status(500).json({ error: 'Failed to regenerate XML.' });
+  }
+}));
+
+// POST a new master bill, optionally with the ids of the declarations it consolidates
+app.post('/master-bills', storeRoute(async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!isPlainObject(body)) {
+      return res.status(400).json({ error: 'Master bill must be a JSON object.' });
+    }
+
+    await db.read();
+    const idsError = checkDeclarationIds(body.declarationIds);
+    if (idsError) return res.status(400).json({ error: idsError });
+    const conflicts = findAssignmentConflicts(db.data, body.declarationIds || []);
+    if (conflicts.length > 0) {
+      return res.status(409).json(assignmentConflictResponse(conflicts));
+    }
+
+    const masterBill = createMasterBill(body, body.declarationIds);
+    db.data.masterBills.push(masterBill);
+    await commit(db);
+    res.status(201).json(masterBill);
+  } catch (error) {
+    console.error('Error creating master bill:', error);
+    res.status(500).json({ error: 'Failed to create master bill.' });
+  }
+}));
+
+// PUT replaces a master bill's fields; its generated XML record is kept
+app.put('/master-bills/:id', storeRoute(async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!isPlainObject(body)) {
+      return res.status(400).json({ error: 'Master bill must be a JSON object.' });
+    }
+
+    await db.read();
+    const masterBill = findMasterBill(req.params.id);
+    if (!masterBill) {
+      return res.status(404).json({ error: 'Master bill not found.' });
+    }
+    const idsError = checkDeclarationIds(body.declarationIds);
+    if (idsError) return res.status(400).json({ error: idsError });
+    if (body.declarationIds) {
+      if (!isOpen(masterBill)) {
+        return res.status(409).json(closedMasterBillResponse(masterBill));
+      }
+      const conflicts = findAssignmentConflicts(db.data, body.declarationIds, masterBill.id);
+      if (conflicts.length > 0) {
+        return res.status(409).json(assignmentConflictResponse(conflicts));
+      }
+    }
+
+    updateMasterBill(masterBill, body);
+    await commit(db);
+    res.status(200).json(masterBill);
+  } catch (error) {
+    console.error('Error updating master bill:', error);
+    res.status(500).json({ error: 'Failed to update master bill.' });
+  }
+}));
+
+// POST { ids } attaches declarations to an open master bill
+app.post('/master-bills/:id/declarations', storeRoute(async (req, res) => {
+  try {
+    const { ids } = req.body || {};
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'Please provide an array of declaration IDs to attach.' });
+    }
 
-    // Write changes to the database
-    await db.write();
+    await db.read();
+    const masterBill = findMasterBill(req.params.id);
+    if (!masterBill) {
+      return res.status(404).json({ error: 'Master bill not found.' });
+    }
+    if (!isOpen(masterBill)) {
+      return res.status(409).json(closedMasterBillResponse(masterBill));
+    }
+    const idsError = checkDeclarationIds(ids);
+    if (idsError) return res.status(400).json({ error: idsError });
+    const conflicts = findAssignmentConflicts(db.data, ids, masterBill.id);
+    if (conflicts.length > 0) {
+      return res.status(409).json(assignmentConflictResponse(conflicts));
+    }
 
-    const structuredJs = structureDataForXml(declarationsToUse, masterBill);
-    const xmlData = js2xml(structuredJs, { compact: true, spaces: 4 });
+    const attached = attachDeclarations(masterBill, ids);
+    await commit(db);
+    res.status(200).json({ attached, declarationIds: masterBill.declarationIds });
+  } catch (error) {
+    console.error('Error attaching declarations:', error);
+    res.status(500).json({ error: 'Failed to attach declarations.' });
+  }
+}));
 
-    res.header('Content-Type', 'application/xml');
-    res.header('Content-Disposition', 'attachment; filename="SADEntry.xml"');
-    res.status(200).send(xmlData);
+// DELETE { ids } detaches declarations from an open master bill
+app.delete('/master-bills/:id/declarations', storeRoute(async (req, res) => {
+  try {
+    const { ids } = req.body || {};
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'Please provide an array of declaration IDs to detach.' });
+    }
+
+    await db.read();
+    const masterBill = findMasterBill(req.params.id);
+    if (!masterBill) {
+      return res.status(404).json({ error: 'Master bill not found.' });
+    }
+    if (!isOpen(masterBill)) {
+      return res.status(409).json(closedMasterBillResponse(masterBill));
+    }
 
+    const detached = detachDeclarations(masterBill, ids);
+    await commit(db);
+    res.status(200).json({ detached, declarationIds: masterBill.declarationIds });
   } catch (error) {
-    console.error('XML generation error:', error);
-    res.status(500).json({ error: 'An internal server error occurred.' });
+    console.error('Error detaching declarations:', error);
+    res.status(500).json({ error: 'Failed to detach declarations.' });
   }
-});
+}));
+
+// PUT { status } opens or closes a master bill. Closing releases its declarations; reopening
+// is refused while any of them has since been assigned to another open master bill.
+app.put('/master-bills/:id/status', storeRoute(async (req, res) => {
+  try {
+    const { status } = req.body || {};
+    if (!MASTER_BILL_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${MASTER_BILL_STATUSES.join(', ')}.` });
+    }
 
-function structureDataForXml(consolidatedItems, masterBill) {
-  const mode = masterBill.consignment?.transportMode;
-  const sadEntryObject = {
-    _declaration: { _attributes: { version: '1.0', encoding: 'UTF-8' } },
-    SADEntry: {
-      Date: { _text: new Date().toISOString().split('T')[0] },
-      Regime: { _text: 'IM1' },
-      Importer: { Number: { _text: "20738450" } },
-      // Exporter: { Number: { _text: masterBill.exporter?.number || '' } },
-      Exporter: {
-        Name: { _text: "Novotrans" },
-        Address: { _text: "6371 NW 102nd Ave" },
-        City: { _text: "Doral" },
-        State: { _text: "FL" },
-        PostalCode: { _text: "33178" },
-        Country: { _text: "USA" },
-      },
-      Finance: {},
-      Consignment: {
-        DepartureDate: { _text: masterBill.consignment?.departureDate || '' },
-        ArrivalDate: { _text: masterBill.consignment?.arrivalDate || '' },
-        ExportCountry: { _text: "USA" },
-        ImportCountry: { _text: "USA" },
-        ShippingPort: { _text: masterBill.consignment?.shippingPort || '' },
-        DischargePort: { _text: mode == "SEA" ? 'KYGEC' : "KYGCM" },
-        TransportMode: { _text: mode || '' },
-      },
-      Shipment: {
-        VesselCode: { _text: masterBill.shipment?.vesselCode || '' },
-        VoyageNo: { _text: masterBill.shipment?.voyageNo || '' },
-        ShippingAgent: { _text: masterBill.shipment?.shippingAgent || '' },
-        BillNumber: { _text: masterBill.shipment?.billNumber || '' },
-        BillType: { _text: "CONSOLIDATED" },
-      },
-      // Container section moved here - before Packages
-      Container: [],
-      Packages: {
-        PkgCount: { _text: masterBill.packages?.pkgCount || '' },
-        PkgType: { _text: masterBill.packages.pkgType },
-        GrossWt: { _text: masterBill.packages?.grossWt || '' },
-        GrossWtUnit: { _text: 'LB' },
-        GrossVol: { _text: masterBill.packages?.grossVol || '' },
-        GrossVolUnit: { _text: 'CF' },
-        Contents: { _text: masterBill.packages?.contents || '' },
-        CategoryOfGoods: { _text: "1" },
-      },
-      MoneyDeclaredFlag: { _text: "N" },
-      ConsolidatedShipment: {
-        ConsolidatedItem: consolidatedItems.map(item => ({
-          Importer: { Number: { _text: item.importer.number } },
-          Exporter: item.exporter?.number
-            ? { Number: { _text: item.exporter.number } }
-            : {
-              Name: { _text: item.exporter?.name || '' },
-              Address: { _text: item.exporter?.address || '' },
-              City: { _text: item.exporter?.city || '' },
-              State: { _text: item.exporter?.state || '' },
-              PostalCode: { _text: item.exporter?.postalcode || '' },
-              Country: { _text: item.exporter?.country || '' },
-              Phone: { _text: item.exporter?.phone || '' }
-            },
-          Finance: {},
-          BillNumber: { _text: item.billNumber },
-          Packages: {
-            PkgCount: { _text: item.packages.pkgCount },
-            PkgType: { _text: item.packages.pkgType },
-            GrossWt: { _text: item.packages.grossWt },
-            GrossWtUnit: { _text: "LB" },
-            GrossVol: { _text: item.packages.grossVol },
-            GrossVolUnit: { _text: "CF" },
-            Contents: { _text: item.packages.contents },
-            CategoryOfGoods: { _text: "1" },
-          },
-          Valuation: {
-            Currency: { _text: "USD" },
-            NetCost: { _text: item.valuation.netCost },
-            NetInsurance: { _text: item.valuation.netInsurance },
-            NetFreight: { _text: item.valuation.netFreight },
-            TermsOfDelivery: { _text: "FOB" },
-          },
-          Items: (item.items || []).map(tariff => {
-            // try to find tariff definition in DB by code and use its unit if present
-            const tariffDefs = (db.data.tariffs || []);
-            const tariffDef = tariffDefs.find(td => String(td.code) === String(tariff.code));
-            const qtyUnit = tariffDef?.unit || tariffDef?.qtyUnit || tariffDef?.QtyUnit || tariff.qtyUnit || 'LB';
-            return ({
-              Code: { _text: tariff.code },
-              Desc: { _text: tariff.desc },
-              Origin: { _text: "USA" },
-              Qty: { _text: tariff.qty },
-              QtyUnit: { _text: qtyUnit },
-              Cost: { _text: tariff.cost },
-              Insurance: { _text: tariff.insurance },
-              Freight: { _text: tariff.freight },
-              InvNumber: { _text: tariff.invNumber },
-              Procedure: {
-                Code: { _text: tariff.procedureCode },
-                ImporterNumber: { _text: item.importer.number },
-              },
-            });
-          }),
-          MoneyDeclaredFlag: { _text: "N" },
-        }))
+    await db.read();
+    const masterBill = findMasterBill(req.params.id);
+    if (!masterBill) {
+      return res.status(404).json({ error: 'Master bill not found.' });
+    }
+    if (status === 'open' && !isOpen(masterBill)) {
+      const conflicts = findAssignmentConflicts(db.data, masterBill.declarationIds || [], masterBill.id);
+      if (conflicts.length > 0) {
+        return res.status(409).json(assignmentConflictResponse(conflicts));
       }
     }
+
+    masterBill.status = status;
+    masterBill.updatedAt = new Date().toISOString();
+    await commit(db);
+    res.status(200).json(summarizeMasterBill(masterBill));
+  } catch (error) {
+    console.error('Error updating master bill status:', error);
+    res.status(500).json({ error: 'Failed to update master bill status.' });
+  }
+}));
+
+app.delete('/master-bills/:id', storeRoute(async (req, res) => {
+  try {
+    await db.read();
+    if (!findMasterBill(req.params.id)) {
+      return res.status(404).json({ error: 'Master bill not found.' });
+    }
+
+    db.data.masterBills = db.data.masterBills.filter(m => m.id !== req.params.id);
+    await commit(db);
+    res.status(200).json({ message: 'Master bill deleted.' });
+  } catch (error) {
+    console.error('Error deleting master bill:', error);
+    res.status(500).json({ error: 'Failed to delete master bill.' });
+  }
+}));
+
+// ----------------------------------------------------------------------
+// API Endpoints for Broker Profiles
+// ----------------------------------------------------------------------
+
+const profileValidationResponse = errors => ({
+  error: 'Broker profile failed validation.',
+  errors
+});
+
+app.get('/broker-profiles', storeRoute(async (req, res) => {
+  try {
+    await db.read();
+    res.status(200).json(db.data.brokerProfiles || []);
+  } catch (error) {
+    console.error('Error fetching broker profiles:', error);
+    res.status(500).json({ error: 'Failed to fetch broker profiles.' });
+  }
+}));
+
+app.get('/broker-profiles/:id', storeRoute(async (req, res) => {
+  try {
+    await db.read();
+    const profile = resolveBrokerProfile(db.data, req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Broker profile not found.' });
+    }
+    res.status(200).json(profile);
+  } catch (error) {
+    console.error('Error fetching broker profile:', error);
+    res.status(500).json({ error: 'Failed to fetch broker profile.' });
+  }
+}));
+
+// POST a new profile; `isDefault: true` makes it the profile generate-xml uses by default
+app.post('/broker-profiles', storeRoute(async (req, res) => {
+  try {
+    const body = req.body || {};
+    const errors = validateBrokerProfile(body);
+    if (errors.length > 0) {
+      return res.status(422).json(profileValidationResponse(errors));
+    }
+
+    await db.read();
+    const profile = buildBrokerProfile(body);
+    db.data.brokerProfiles.push(profile);
+    if (profile.isDefault) setDefaultBrokerProfile(db.data, profile);
+    await commit(db);
+    res.status(201).json(profile);
+  } catch (error) {
+    console.error('Error creating broker profile:', error);
+    res.status(500).json({ error: 'Failed to create broker profile.' });
+  }
+}));
+
+app.put('/broker-profiles/:id', storeRoute(async (req, res) => {
+  try {
+    const body = req.body || {};
+    const errors = validateBrokerProfile(body);
+    if (errors.length > 0) {
+      return res.status(422).json(profileValidationResponse(errors));
+    }
+
+    await db.read();
+    const index = db.data.brokerProfiles.findIndex(p => p.id === req.params.id);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Broker profile not found.' });
+    }
+
+    // The default can only move to another profile, never be switched off
+    const current = db.data.brokerProfiles[index];
+    const profile = buildBrokerProfile(
+      { ...body, isDefault: current.isDefault || body.isDefault },
+      { id: current.id, createdAt: current.createdAt }
+    );
+    db.data.brokerProfiles[index] = profile;
+    if (profile.isDefault) setDefaultBrokerProfile(db.data, profile);
+    await commit(db);
+    res.status(200).json(profile);
+  } catch (error) {
+    console.error('Error updating broker profile:', error);
+    res.status(500).json({ error: 'Failed to update broker profile.' });
+  }
+}));
+
+app.delete('/broker-profiles/:id', storeRoute(async (req, res) => {
+  try {
+    await db.read();
+    const profile = resolveBrokerProfile(db.data, req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Broker profile not found.' });
+    }
+    if (profile.isDefault) {
+      return res.status(409).json({ error: 'Make another profile the default before deleting this one.' });
+    }
+
+    db.data.brokerProfiles = db.data.brokerProfiles.filter(p => p.id !== profile.id);
+    await commit(db);
+    res.status(200).json({ message: 'Broker profile deleted.' });
+  } catch (error) {
+    console.error('Error deleting broker profile:', error);
+    res.status(500).json({ error: 'Failed to delete broker profile.' });
+  }
+}));
+
+// ----------------------------------------------------------------------
+// XML Generation (reading from DB)
+// ----------------------------------------------------------------------
+/**
+ * Work out what a generate-xml body asks for: a stored master bill (`masterBillId`) or the
+ * fields of a new one, and the declarations to consolidate. Returns `{ status, error }`
+ * when the body cannot be used. A closed master bill can only be rendered (`allowClosed`),
+ * not filed again.
+ */
+function resolveGenerationRequest(requestBody, { allowClosed = false } = {}) {
+  const { masterBillId } = requestBody;
+  const selectedIds = Array.isArray(requestBody.selectedIds)
+    ? requestBody.selectedIds
+    : (Array.isArray(requestBody.ids) ? requestBody.ids : []);
+  const allDeclarations = db.data.declarations || [];
+
+  let masterBillEntry = null;
+  let idsToUse = selectedIds;
+  if (masterBillId) {
+    masterBillEntry = findMasterBill(masterBillId);
+    if (!masterBillEntry) {
+      return { status: 404, error: 'Master bill not found.' };
+    }
+    if (!allowClosed && !isOpen(masterBillEntry)) {
+      return { status: 409, error: 'Master bill is closed; reopen it to generate XML again.' };
+    }
+    if (idsToUse.length === 0) idsToUse = masterBillEntry.declarationIds || [];
+    if (idsToUse.length === 0) {
+      return { status: 400, error: 'The master bill has no declarations.' };
+    }
+  }
+
+  // If selectedIds provided, filter the declarations to only those IDs; otherwise take
+  // every declaration not already on an open master bill
+  const assignments = assignmentsOf(db.data);
+  let declarationsToUse = allDeclarations.filter(d => !assignments.has(d.id));
+  if (idsToUse && idsToUse.length > 0) {
+    declarationsToUse = allDeclarations.filter(d => idsToUse.includes(d.id));
+    if (!declarationsToUse || declarationsToUse.length === 0) {
+      return { status: 400, error: 'No declarations match the selected IDs.' };
+    }
+  }
+
+  if (!declarationsToUse || declarationsToUse.length === 0) {
+    return { status: 400, error: 'No unassigned declarations in DB.' };
+  }
+
+  return {
+    masterBillEntry,
+    masterBillFields: masterBillEntry || requestBody.masterBill || requestBody,
+    declarations: declarationsToUse,
+    profileId: requestBody.profileId || masterBillEntry?.profileId
   };
+}
+
+// POST /generate-xml/preflight runs every generate-xml check on the same body without saving
+// anything or producing a file, and reports the problems per declaration
+app.post('/generate-xml/preflight', async (req, res) => {
+  const requestBody = req.body || {};
+  const strictReconciliation = (req.query.reconcile || reconciliationMode) === 'strict';
+  const tolerance = parseTolerance(req.query.tolerance);
+  if (tolerance === null) {
+    return res.status(400).json({ error: 'tolerance must be a non-negative number.' });
+  }
+
+  try {
+    const checked = await stores.run(async () => {
+      await db.read();
+      const request = resolveGenerationRequest(requestBody);
+      if (request.error) return request;
+      const { masterBillEntry, masterBillFields, declarations } = request;
+      const report = buildPreflightReport(masterBillFields, declarations);
+
+      findAssignmentConflicts(db.data, declarations.map(d => d.id), masterBillEntry?.id).forEach(conflict => {
+        addIssue(report, 'error', {
+          check: 'assigned-elsewhere',
+          path: 'id',
+          message: `Declaration is already assigned to open master bill ${conflict.masterBillId}.`
+        }, conflict.declarationId);
+      });
+
+      const profile = resolveBrokerProfile(db.data, request.profileId);
+      if (!profile) {
+        addIssue(report, 'error', { check: 'unknown-profile', path: 'profileId', message: 'Unknown broker profile.' });
+      }
+
+      reconcileMasterBill(masterBillFields, declarations, { tolerance }).mismatches.forEach(mismatch => {
+        addIssue(report, strictReconciliation ? 'error' : 'warning', {
+          check: 'totals-mismatch',
+          path: `packages.${mismatch.field}`,
+          message: `Summed ${mismatch.check} ${mismatch.field} is ${mismatch.actual} but the master bill says ${mismatch.master ?? 'nothing'}.`
+        });
+      });
+
+      // Only render when there is a profile for the header; the XSD check needs a document
+      const schemaCheck = profile && db.data.sadEntrySchema
+        ? {
+          xmlData: renderSadEntry(declarations, masterBillFields, { profile }),
+          schema: db.data.sadEntrySchema.contents,
+          declarations
+        }
+        : null;
+      return { report, schemaCheck };
+    });
+    if (checked.error) {
+      return res.status(checked.status).json({ error: checked.error });
+    }
+
+    // Validation works on the rendered document, so it runs outside the store queue
+    const { report, schemaCheck } = checked;
+    if (schemaCheck) {
+      const validation = await validateSadEntry(schemaCheck.xmlData, schemaCheck.schema, schemaCheck.declarations);
+      validation.errors.forEach(({ declarationId, line, path, message, itemId }) => {
+        addIssue(report, 'error', { check: 'schema', path, message, ...(itemId ? { itemId } : {}), line }, declarationId);
+      });
+    }
+
+    res.status(200).json(summarizeReport(report));
+  } catch (error) {
+    console.error('Preflight error:', error);
+    res.status(500).json({ error: 'Failed to run preflight checks.' });
+  }
+});
+
+/**
+ * File the selection a generate-xml body describes in a submission format: the master bill is
+ * created or updated, the declarations are marked exported and the file is archived. Shared
+ * by POST /generate-xml and POST /exports/:format. It runs in the store queue as a whole,
+ * since the file has to be checked against the same data that is then marked exported.
+ */
+async function generateExport(req, res, format) {
+  // Accept `{ masterBillId, selectedIds? }` for a stored master bill, or
+  // `{ masterBill: {...}, selectedIds: [...] }` / a legacy raw masterBill body for a new one.
+  // `profileId` picks the broker profile for the header (the master bill's last one, or the
+  // default profile, when omitted). Figures that don't reconcile are listed in the
+  // X-Reconciliation-Details header; ?reconcile=strict refuses them instead.
+  const requestBody = req.body || {};
+  const strictReconciliation = (req.query.reconcile || reconciliationMode) === 'strict';
+  const tolerance = parseTolerance(req.query.tolerance);
+  if (tolerance === null) {
+    return res.status(400).json({ error: 'tolerance must be a non-negative number.' });
+  }
+
+  try {
+    await db.read();
+    const request = resolveGenerationRequest(requestBody);
+    if (request.error) {
+      return res.status(request.status).json({ error: request.error });
+    }
+    let { masterBillEntry } = request;
+    const declarationsToUse = request.declarations;
+
+    // A house bill may only be shipped under one open master bill
+    const conflicts = findAssignmentConflicts(db.data, declarationsToUse.map(d => d.id), masterBillEntry?.id);
+    if (conflicts.length > 0) {
+      return res.status(409).json(assignmentConflictResponse(conflicts));
+    }
+
+    const profile = resolveBrokerProfile(db.data, request.profileId);
+    if (!profile) {
+      return res.status(400).json({ error: 'Unknown broker profile.' });
+    }
+
+    const reconciliation = reconcileMasterBill(request.masterBillFields, declarationsToUse, { tolerance });
+    if (!reconciliation.reconciled) {
+      if (strictReconciliation) {
+        return res.status(422).json({
+          error: 'Master bill figures do not reconcile with its declarations.',
+          reconciliation
+        });
+      }
+    }
+
+    // Every generation without a stored master bill adds a new one to the list
+    const isNewMasterBill = !masterBillEntry;
+    if (isNewMasterBill) {
+      masterBillEntry = createMasterBill(requestBody.masterBill || requestBody);
+      delete masterBillEntry.selectedIds;
+      delete masterBillEntry.ids;
+      delete masterBillEntry.profileId;
+    }
+
+    // Nothing is saved or exported unless the document passes the format's checks
+    const generatedAt = new Date().toISOString();
+    const contents = await format.render({
+      declarations: declarationsToUse,
+      masterBill: masterBillEntry,
+      profile,
+      generatedAt,
+      tariffMapFor: d => tariffMapForDeclaration(d, masterBillEntry)
+    });
+    if (format.validate) {
+      const validation = await format.validate(contents, { data: db.data, declarations: declarationsToUse });
+      if (!validation.valid) {
+        return res.status(422).json({ error: validation.error, errors: validation.errors });
+      }
+    }
+
+    if (isNewMasterBill) db.data.masterBills.push(masterBillEntry);
+    masterBillEntry.declarationIds = declarationsToUse.map(d => d.id);
+    masterBillEntry.profileId = profile.id;
+
+    // Archived before the status change below, with the revisions the file was built from
+    const archived = archiveExport(db.data, {
+      masterBillId: masterBillEntry.id,
+      declarations: declarationsToUse,
+      contents,
+      fileName: format.fileName,
+      contentType: format.contentType,
+      format: format.name,
+      actor: actorOf(req),
+      generatedAt
+    });
 
-  // Populate Container array
-  if (masterBill.containers && masterBill.containers.length > 0) {
-    masterBill.containers.forEach(container => {
-      const containerObject = {
-        ContainerNumber: { _text: container.containerNumber || '' },
-        ContainerType: { _text: container.containerType || '' },
-        SealNumber: { _text: container.sealNumber || '' },
-        DockReceipt: { _text: container.dockReceipt || '' },
-        MarksAndNumbers: { _text: container.marksNumbers || '' },
-        CubicSize: { _text: container.volume || '' },
-        CubicUnit: { _text: 'CF' },
-        GrossWt: { _text: container.weight || '' },
-        GrossWtUnit: { _text: 'LB' },
+    // Declarations written into the file are now exported and locked against edits
+    declarationsToUse.forEach(declaration => {
+      const before = structuredClone(declaration);
+      if (markExported(declaration)) {
+        bumpRevision(declaration);
+        recordVersion(db.data, {
+          declarationId: declaration.id,
+          action: 'export',
+          actor: actorOf(req),
+          before,
+          after: declaration
+        });
       }
-      sadEntryObject.SADEntry.Container.push(containerObject);
     });
+
+    recordGeneration(masterBillEntry, declarationsToUse, { profile, generatedAt });
+
+    // Write changes to the database
+    await commit(db);
+
+    res.header('X-Master-Bill-Id', masterBillEntry.id);
+    res.header('X-Export-Id', archived.id);
+    res.header('X-Reconciliation-Mismatches', String(reconciliation.mismatches.length));
+    res.header('X-Reconciliation-Details', JSON.stringify(reconciliation.mismatches));
+    sendExport(res, format, contents);
+
+  } catch (error) {
+    console.error(`${format.label} generation error:`, error);
+    res.status(500).json({ error: 'An internal server error occurred.' });
+  }
+}
+
+app.post('/generate-xml', storeRoute((req, res) => generateExport(req, res, sadEntryFormat)));
+
+function sendExport(res, format, contents) {
+  res.header('Content-Type', format.contentType);
+  res.header('Content-Disposition', `attachment; filename="${format.fileName}"`);
+  res.status(200).send(contents);
+}
+
+/**
+ * Render the selection a generate-xml body describes in a format that is not filed with
+ * customs. Nothing is saved: no master bill is created, no declaration changes status and
+ * the file is not archived.
+ */
+async function renderExport(req, res, format) {
+  try {
+    // Only the selection is taken in the store queue; rendering happens outside it
+    const selection = await stores.run(async () => {
+      await db.read();
+      const request = resolveGenerationRequest(req.body || {}, { allowClosed: true });
+      if (request.error) return request;
+
+      const profile = resolveBrokerProfile(db.data, request.profileId);
+      if (!profile) return { status: 400, error: 'Unknown broker profile.' };
+
+      // A legacy raw body is the master bill itself, alongside the selection fields
+      const { selectedIds, ids, profileId, ...masterBill } = request.masterBillFields;
+      const declarations = structuredClone(request.declarations);
+      const tariffMaps = new Map(declarations.map(d => [d.id, tariffMapForDeclaration(d, masterBill)]));
+      return { data: db.data, declarations, masterBill: structuredClone(masterBill), profile, tariffMaps };
+    });
+    if (selection.error) {
+      return res.status(selection.status).json({ error: selection.error });
+    }
+
+    const { data, declarations, masterBill, profile, tariffMaps } = selection;
+    const contents = await format.render({
+      declarations,
+      masterBill,
+      profile,
+      generatedAt: new Date().toISOString(),
+      tariffMapFor: d => tariffMaps.get(d.id)
+    });
+    if (format.validate) {
+      const validation = await format.validate(contents, { data, declarations });
+      if (!validation.valid) {
+        return res.status(422).json({ error: validation.error, errors: validation.errors });
+      }
+    }
+
+    sendExport(res, format, contents);
+  } catch (error) {
+    console.error(`${format.label} export error:`, error);
+    res.status(500).json({ error: 'An internal server error occurred.' });
   }
+}
+
+// ----------------------------------------------------------------------
+// Export Archive
+// ----------------------------------------------------------------------
 
-  return sadEntryObject;
+function findExport(id) {
+  return (db.data.exportArchive || []).find(e => e.id === id) || null;
 }
 
+// GET the formats POST /exports/:format can produce
+app.get('/export-formats', (req, res) => {
+  res.status(200).json(listExportFormats());
+});
+
+// POST /exports/:format takes the same body as /generate-xml. Submission formats are filed
+// exactly like /generate-xml; the others only render the selection.
+app.post('/exports/:format', (req, res) => {
+  const format = findExportFormat(req.params.format);
+  if (!format) {
+    return res.status(404).json({
+      error: `Unknown export format "${req.params.format}". Use one of: ${listExportFormats().map(f => f.name).join(', ')}.`
+    });
+  }
+  return format.submission
+    ? stores.run(() => generateExport(req, res, format))
+    : renderExport(req, res, format);
+});
+
+// GET archived exports, newest first; ?masterBillId= narrows to one master bill
+app.get('/exports', storeRoute(async (req, res) => {
+  try {
+    await db.read();
+    const { masterBillId } = req.query;
+    const exports = (db.data.exportArchive || [])
+      .filter(e => !masterBillId || e.masterBillId === masterBillId)
+      .map(summarizeExport)
+      .reverse();
+    res.status(200).json(exports);
+  } catch (error) {
+    console.error('Error fetching exports:', error);
+    res.status(500).json({ error: 'Failed to fetch exports.' });
+  }
+}));
+
+// GET the differences between two archived exports: ?from=<id>&to=<id>
+app.get('/exports/compare', storeRoute(async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!from || !to) {
+      return res.status(400).json({ error: 'Please provide the export ids to compare as from and to.' });
+    }
+
+    await db.read();
+    const fromExport = findExport(from);
+    const toExport = findExport(to);
+    if (!fromExport || !toExport) {
+      return res.status(404).json({ error: 'Export not found.' });
+    }
+    res.status(200).json(compareExports(fromExport, toExport));
+  } catch (error) {
+    console.error('Error comparing exports:', error);
+    res.status(500).json({ error: 'Failed to compare exports.' });
+  }
+}));
+
+// GET an archived export's details, including who downloaded it and when
+app.get('/exports/:id', storeRoute(async (req, res) => {
+  try {
+    await db.read();
+    const archived = findExport(req.params.id);
+    if (!archived) {
+      return res.status(404).json({ error: 'Export not found.' });
+    }
+    const { contents, ...details } = archived;
+    res.status(200).json(details);
+  } catch (error) {
+    console.error('Error fetching export:', error);
+    res.status(500).json({ error: 'Failed to fetch export.' });
+  }
+}));
+
+// GET the archived file exactly as it was sent; the download is logged
+app.get('/exports/:id/download', storeRoute(async (req, res) => {
+  try {
+    await db.read();
+    const archived = findExport(req.params.id);
+    if (!archived) {
+      return res.status(404).json({ error: 'Export not found.' });
+    }
+
+    recordDownload(archived, actorOf(req));
+    await commit(db);
+
+    res.header('Content-Type', archived.contentType);
+    res.header('Content-Disposition', `attachment; filename="${archived.fileName}"`);
+    res.header('X-Content-SHA256', archived.sha256);
+    res.status(200).send(archived.contents);
+  } catch (error) {
+    console.error('Error downloading export:', error);
+    res.status(500).json({ error: 'Failed to download export.' });
+  }
+}));
+
 // ----------------------------------------------------------------------
 // CSV Upload Endpoint
 // ----------------------------------------------------------------------
@@ -770,9 +2283,12 @@ app.post('/declarations/upload-csv', upload.single('file'), async (req, res) =>
     return res.status(400).json({ error: 'No file uploaded' });
   }
 
-  const transportMode = req.body.transportMode;
-  if (!transportMode || !['AIR', 'OCEAN'].includes(transportMode)) {
-    return res.status(400).json({ error: 'Invalid transport mode' });
+  const transportMode = normalizeTransportMode(req.body.transportMode);
+  if (!transportMode) {
+    fs.unlinkSync(req.file.path);
+    return res.status(400).json({
+      error: `Invalid transport mode. Use one of: ${TRANSPORT_MODES.map(m => m.code).join(', ')}.`
+    });
   }
 
   try {
@@ -791,13 +2307,15 @@ app.post('/declarations/upload-csv', upload.single('file'), async (req, res) =>
         .on('error', reject);
     });
 
-    // Process each record
-    await db.read();
-    let createdCount = 0;
-
+    // Build a declaration from each record
+    const newDeclarations = [];
     for (const record of records) {
       const declaration = {
         id: uuidv4(),
+        createdAt: new Date().toISOString(),
+        revision: 1,
+        status: 'draft',
+        statusUpdatedAt: new Date().toISOString(),
         transportMode,
         billNumber: record.billNumber,
         items: [],
@@ -829,11 +2347,34 @@ app.post('/declarations/upload-csv', upload.single('file'), async (req, res) =>
         }
       };
 
-      db.data.declarations.push(declaration);
-      createdCount++;
+      newDeclarations.push(declaration);
+    }
+
+    // Reject the whole file if any row is invalid; row numbers count the header as row 1
+    const rowErrors = newDeclarations
+      .map((declaration, idx) => ({ row: idx + 2, errors: validateDeclaration(declaration) }))
+      .filter(r => r.errors.length > 0);
+    if (rowErrors.length > 0) {
+      fs.unlinkSync(req.file.path);
+      return res.status(422).json({ error: 'Some rows failed validation; no declarations were created.', rows: rowErrors });
     }
 
-    await db.write();
+    let createdCount = 0;
+    await stores.run(async () => {
+      await db.read();
+      newDeclarations.forEach(declaration => {
+        db.data.declarations.push(declaration);
+        recordVersion(db.data, {
+          declarationId: declaration.id,
+          action: 'create',
+          actor: actorOf(req),
+          before: null,
+          after: declaration
+        });
+        createdCount++;
+      });
+      await commit(db);
+    });
 
     // Clean up uploaded file
     fs.unlinkSync(req.file.path);
@@ -853,9 +2394,128 @@ app.post('/declarations/upload-csv', upload.single('file'), async (req, res) =>
   }
 });
 
+// ----------------------------------------------------------------------
+// SADEntry XML Upload Endpoint
+// ----------------------------------------------------------------------
+
+// Creates a master bill and its house declarations from a SADEntry file. Nothing is created
+// when a bill number in the file already exists; the conflicts are returned instead.
+app.post('/declarations/upload-xml', upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  try {
+    const contents = fs.readFileSync(req.file.path, 'utf8');
+    fs.unlinkSync(req.file.path);
+
+    const parsed = parseSadEntry(contents);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    if (parsed.declarations.length === 0) {
+      return res.status(422).json({ error: 'The file has no consolidated items.' });
+    }
+
+    const invalid = parsed.declarations
+      .map((declaration, index) => ({
+        item: index + 1,
+        billNumber: declaration.billNumber,
+        errors: validateDeclaration(declaration)
+      }))
+      .filter(d => d.errors.length > 0);
+    if (invalid.length > 0) {
+      return res.status(422).json({ error: 'Some consolidated items failed validation; nothing was imported.', items: invalid });
+    }
+
+    await stores.run(async () => {
+      await db.read();
+      await usersDb.read();
+
+      const conflicts = findBillNumberConflicts(db.data, parsed);
+      if (conflicts.length > 0) {
+        return res.status(409).json({ error: 'Some bill numbers in the file already exist; nothing was imported.', conflicts });
+      }
+
+      const now = new Date().toISOString();
+      const matches = [];
+      const declarations = [];
+      for (const fields of parsed.declarations) {
+        const declaration = {
+          ...fields,
+          id: uuidv4(),
+          createdAt: now,
+          revision: 1,
+          status: 'draft',
+          statusUpdatedAt: now,
+          // Freight and insurance are kept as filed rather than reallocated
+          items: fields.items.map(item => ({ ...item, id: uuidv4() }))
+        };
+
+        const user = matchImporter(usersDb.data.users, declaration.importer.number);
+        if (user) {
+          declaration.importer = { id: user.id, number: declaration.importer.number, name: user.name || '' };
+        } else {
+          await syncImporter(declaration.importer);
+        }
+
+        const exporter = matchExporter(db.data.exporters, declaration.exporter, declaration.importer.id);
+        if (exporter) {
+          declaration.exporter.id = exporter.id;
+        } else {
+          syncExporter(declaration.exporter, declaration.importer.id);
+        }
+
+        matches.push({
+          declarationId: declaration.id,
+          billNumber: declaration.billNumber,
+          importer: { id: declaration.importer.id, matched: Boolean(user) },
+          exporter: { id: declaration.exporter.id, matched: Boolean(exporter) }
+        });
+        declarations.push(declaration);
+      }
+
+      const profile = (db.data.brokerProfiles || []).find(p => p.importerNumber === parsed.header.importerNumber);
+      const masterBill = createMasterBill(
+        { ...parsed.masterBill, ...(profile && { profileId: profile.id }) },
+        declarations.map(d => d.id)
+      );
+
+      db.data.masterBills.push(masterBill);
+      declarations.forEach(declaration => {
+        db.data.declarations.push(declaration);
+        recordVersion(db.data, {
+          declarationId: declaration.id,
+          action: 'import',
+          actor: actorOf(req),
+          before: null,
+          after: declaration
+        });
+      });
+      await commit(db, usersDb);
+
+      res.status(201).json({
+        message: `Imported master bill ${masterBill.shipment.billNumber || masterBill.id} with ${declarations.length} declarations`,
+        masterBill: summarizeMasterBill(masterBill),
+        header: parsed.header,
+        declarations: matches
+      });
+    });
+  } catch (error) {
+    console.error('Error importing SADEntry XML:', error);
+    if (fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    res.status(500).json({ error: 'Failed to import SADEntry file.' });
+  }
+});
+
 // ----------------------------------------------------------------------
 // Start the Server
 // ----------------------------------------------------------------------
 app.listen(port, () => {
   console.log(`Backend server is running on http://localhost:${port}`);
-});
\ No newline at end of file
+});
+
+await purgeExpiredTrash();
+setInterval(purgeExpiredTrash, 60 * 60 * 1000);
\ No newline at end of file
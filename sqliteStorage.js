@@ -0,0 +1,383 @@
+import Database from 'better-sqlite3';
+import { createRequestQueue } from './storeCoordinator.js';
+
+/**
+ * Embedded SQLite storage with the same interface as the JSON files (see storage.js).
+ *
+ * Every collection is a table holding one JSON document per row, in its list order, next to
+ * the columns lookups filter on: bill number, importer id and tariff code are indexed, and
+ * `find` queries them so a lookup only parses the rows it returns.
+ * `read()` goes back to the file only when another connection (e.g. an import script) has
+ * written in the meantime, and parses a collection the first time `data` hands it out, so a
+ * request only pays for the collections it uses.
+ * `commit()` only writes the rows that changed since the last read, in one transaction, so
+ * db.json and users.json data land together and a commit never rewrites the whole store.
+ * Collections that were never handed out cannot have changed and are skipped.
+ */
+
+const text = value => (value === undefined || value === null || value === '' ? null : String(value));
+
+const declarationColumns = {
+  bill_number: d => text(d.billNumber),
+  importer_id: d => text(d.importer?.id)
+};
+
+// Collections stored one row per element, by the store they belong to
+const COLLECTIONS = {
+  db: {
+    declarations: { table: 'declarations', columns: declarationColumns },
+    declarationTrash: { table: 'declaration_trash', columns: declarationColumns },
+    declarationHistory: {
+      table: 'declaration_history',
+      key: entry => `${entry.declarationId}:${entry.version}`,
+      columns: { declaration_id: entry => text(entry.declarationId) }
+    },
+    exporters: { table: 'exporters', columns: { importer_id: e => text(e.uid) } },
+    masterBills: { table: 'master_bills', columns: { bill_number: m => text(m.shipment?.billNumber) } },
+    exportArchive: { table: 'export_archive', columns: { master_bill_id: e => text(e.masterBillId) } },
+    // Schedule rows leave out their tariffs, which are kept in the tariffs table
+    tariffSchedules: {
+      table: 'tariff_schedules',
+      columns: { effective_from: s => text(s.effectiveFrom) },
+      toDoc: ({ tariffs, ...schedule }) => schedule
+    }
+  },
+  users: {
+    users: { table: 'users', columns: {} }
+  }
+};
+
+// Tariffs of the base table (`db.data.tariffs`) are stored under this schedule id
+const BASE_TARIFFS = '';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS tariffs (
+    schedule_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    code TEXT,
+    doc TEXT NOT NULL,
+    PRIMARY KEY (schedule_id, position)
+  );
+  CREATE INDEX IF NOT EXISTS tariffs_code ON tariffs (code);
+
+  CREATE TABLE IF NOT EXISTS documents (
+    store TEXT NOT NULL,
+    name TEXT NOT NULL,
+    doc TEXT NOT NULL,
+    PRIMARY KEY (store, name)
+  );
+`;
+
+function collectionSchema({ table, columns }) {
+  const extra = Object.keys(columns).map(column => `${column} TEXT,`).join(' ');
+  const indexes = Object.keys(columns)
+    .map(column => `CREATE INDEX IF NOT EXISTS ${table}_${column} ON ${table} (${column});`)
+    .join('\n');
+  return `
+    CREATE TABLE IF NOT EXISTS ${table} (
+      key TEXT PRIMARY KEY,
+      position INTEGER NOT NULL,
+      ${extra}
+      doc TEXT NOT NULL
+    );
+    ${indexes}
+  `;
+}
+
+export async function openSqliteStorage({
+  file = 'db.sqlite',
+  defaultData = {},
+  usersDefaultData = { users: [] }
+} = {}) {
+  const sqlite = new Database(file);
+  sqlite.pragma('journal_mode = WAL');
+  sqlite.pragma('synchronous = FULL');
+  sqlite.exec(SCHEMA);
+  Object.values(COLLECTIONS).forEach(collections => {
+    Object.values(collections).forEach(spec => sqlite.exec(collectionSchema(spec)));
+  });
+
+  const freezeTariffs = tariffs => {
+    tariffs.forEach(Object.freeze);
+    return Object.freeze(tariffs);
+  };
+
+  const statements = new Map();
+  const prepare = sql => {
+    if (!statements.has(sql)) statements.set(sql, sqlite.prepare(sql));
+    return statements.get(sql);
+  };
+
+  // What is on disk, as last read or committed: table -> key -> { position, doc }
+  const rows = new Map();
+  // schedule id -> { tariffs } (parsed once and shared between reads, so the lists and their
+  // rows are frozen; a tariff table is changed by replacing the whole list)
+  const tariffGroups = new Map();
+  // "store/name" -> doc, for top-level values that have no table of their own
+  const documents = new Map();
+  let dataVersion = null;
+
+  function loadFromDisk() {
+    Object.values(COLLECTIONS).forEach(collections => {
+      Object.values(collections).forEach(({ table }) => {
+        const loaded = new Map();
+        prepare(`SELECT key, position, doc FROM ${table} ORDER BY position`).all()
+          .forEach(row => loaded.set(row.key, { position: row.position, doc: row.doc }));
+        rows.set(table, loaded);
+      });
+    });
+
+    const docsBySchedule = new Map();
+    prepare('SELECT schedule_id, doc FROM tariffs ORDER BY schedule_id, position').all()
+      .forEach(row => {
+        if (!docsBySchedule.has(row.schedule_id)) docsBySchedule.set(row.schedule_id, []);
+        docsBySchedule.get(row.schedule_id).push(row.doc);
+      });
+    tariffGroups.clear();
+    docsBySchedule.forEach((docs, scheduleId) => {
+      tariffGroups.set(scheduleId, { tariffs: freezeTariffs(JSON.parse(`[${docs.join(',')}]`)) });
+    });
+
+    documents.clear();
+    prepare('SELECT store, name, doc FROM documents').all()
+      .forEach(row => documents.set(`${row.store}/${row.name}`, row.doc));
+  }
+
+  // Reload only when another connection has committed since we last looked
+  function refresh() {
+    const version = sqlite.pragma('data_version', { simple: true });
+    if (version !== dataVersion) {
+      loadFromDisk();
+      dataVersion = version;
+    }
+  }
+
+  function parseCollection(name, spec) {
+    const list = JSON.parse(`[${[...rows.get(spec.table).values()].map(row => row.doc).join(',')}]`);
+    if (name === 'tariffSchedules') {
+      list.forEach(schedule => {
+        schedule.tariffs = tariffGroups.get(String(schedule.id))?.tariffs || [];
+      });
+    }
+    return list;
+  }
+
+  // A collection property that parses its rows on first access and then becomes a plain value
+  function defineLazyCollection(data, name, spec) {
+    const settle = value => Object.defineProperty(data, name, {
+      value,
+      writable: true,
+      enumerable: true,
+      configurable: true
+    });
+    Object.defineProperty(data, name, {
+      enumerable: true,
+      configurable: true,
+      get() {
+        const value = parseCollection(name, spec);
+        settle(value);
+        return value;
+      },
+      set: settle
+    });
+  }
+
+  const isUnread = (data, name) => Boolean(Object.getOwnPropertyDescriptor(data, name)?.get);
+
+  function buildData(storeName, defaults) {
+    const data = {};
+
+    Object.entries(COLLECTIONS[storeName]).forEach(([name, spec]) => {
+      if (rows.get(spec.table).size === 0) return;
+      defineLazyCollection(data, name, spec);
+    });
+
+    if (storeName === 'db' && tariffGroups.has(BASE_TARIFFS)) {
+      data.tariffs = tariffGroups.get(BASE_TARIFFS).tariffs;
+    }
+
+    documents.forEach((doc, id) => {
+      const [store, name] = id.split('/');
+      if (store === storeName) data[name] = JSON.parse(doc);
+    });
+
+    Object.entries(defaults).forEach(([name, value]) => {
+      if (!(name in data)) data[name] = structuredClone(value);
+    });
+    return data;
+  }
+
+  // Work out the writes that bring a collection's table in line with `list`
+  function diffCollection(spec, list, writes) {
+    const { table, columns } = spec;
+    const previous = rows.get(table);
+    const next = new Map();
+
+    list.forEach((item, position) => {
+      let key = spec.key ? spec.key(item) : text(item?.id);
+      if (!key || next.has(key)) key = `#${position}`;
+      const doc = JSON.stringify(spec.toDoc ? spec.toDoc(item) : item);
+      next.set(key, { position, doc });
+
+      const before = previous.get(key);
+      if (before?.doc === doc) {
+        if (before.position !== position) {
+          writes.push(() => prepare(`UPDATE ${table} SET position = ? WHERE key = ?`).run(position, key));
+        }
+        return;
+      }
+      const names = Object.keys(columns);
+      const values = names.map(column => columns[column](item));
+      writes.push(() => prepare(
+        `INSERT OR REPLACE INTO ${table} (key, position, ${names.map(n => `${n}, `).join('')}doc)
+         VALUES (?, ?, ${names.map(() => '?, ').join('')}?)`
+      ).run(key, position, ...values, doc));
+    });
+
+    previous.forEach((row, key) => {
+      if (!next.has(key)) writes.push(() => prepare(`DELETE FROM ${table} WHERE key = ?`).run(key));
+    });
+
+    return () => rows.set(table, next);
+  }
+
+  function diffTariffs(data, writes) {
+    const groups = new Map();
+    if (Array.isArray(data.tariffs)) groups.set(BASE_TARIFFS, data.tariffs);
+    if (isUnread(data, 'tariffSchedules')) {
+      tariffGroups.forEach(({ tariffs }, scheduleId) => {
+        if (scheduleId !== BASE_TARIFFS) groups.set(scheduleId, tariffs);
+      });
+    } else {
+      (data.tariffSchedules || []).forEach(schedule => groups.set(String(schedule.id), schedule.tariffs || []));
+    }
+
+    groups.forEach((tariffs, scheduleId) => {
+      if (tariffGroups.get(scheduleId)?.tariffs === tariffs) return;
+      writes.push(() => {
+        prepare('DELETE FROM tariffs WHERE schedule_id = ?').run(scheduleId);
+        const insert = prepare('INSERT INTO tariffs (schedule_id, position, code, doc) VALUES (?, ?, ?, ?)');
+        tariffs.forEach((tariff, position) => insert.run(scheduleId, position, text(tariff.code), JSON.stringify(tariff)));
+      });
+    });
+    tariffGroups.forEach((group, scheduleId) => {
+      if (!groups.has(scheduleId)) writes.push(() => prepare('DELETE FROM tariffs WHERE schedule_id = ?').run(scheduleId));
+    });
+
+    return () => {
+      tariffGroups.clear();
+      groups.forEach((tariffs, scheduleId) => tariffGroups.set(scheduleId, { tariffs: freezeTariffs(tariffs) }));
+    };
+  }
+
+  function diffDocuments(storeName, data, writes) {
+    const known = COLLECTIONS[storeName];
+    const updates = [];
+
+    Object.keys(data).forEach(name => {
+      if (known[name] || (storeName === 'db' && name === 'tariffs')) return;
+      const value = data[name];
+      if (value === undefined) return;
+      const doc = JSON.stringify(value);
+      updates.push([`${storeName}/${name}`, doc]);
+      if (documents.get(`${storeName}/${name}`) !== doc) {
+        writes.push(() => prepare('INSERT OR REPLACE INTO documents (store, name, doc) VALUES (?, ?, ?)').run(storeName, name, doc));
+      }
+    });
+    documents.forEach((doc, id) => {
+      const [store, name] = id.split('/');
+      if (store === storeName && !updates.some(([updated]) => updated === id)) {
+        writes.push(() => prepare('DELETE FROM documents WHERE store = ? AND name = ?').run(store, name));
+      }
+    });
+
+    return () => {
+      [...documents.keys()].filter(id => id.startsWith(`${storeName}/`)).forEach(id => documents.delete(id));
+      updates.forEach(([id, doc]) => documents.set(id, doc));
+    };
+  }
+
+  function createStore(storeName, defaults) {
+    const store = {
+      name: storeName,
+      data: null,
+      async read() {
+        refresh();
+        store.data = buildData(storeName, defaults);
+      }
+    };
+    return store;
+  }
+
+  const db = createStore('db', defaultData);
+  const usersDb = createStore('users', usersDefaultData);
+  const { run } = createRequestQueue();
+
+  const parseRows = found => found.map(row => JSON.parse(row.doc));
+
+  // Lookups on the indexed columns; only the rows found are parsed
+  const find = {
+    async declaration(id) {
+      const row = prepare('SELECT doc FROM declarations WHERE key = ?').get(String(id));
+      return row ? JSON.parse(row.doc) : null;
+    },
+    async declarations({ importerId, billNumber } = {}) {
+      const conditions = [];
+      const params = [];
+      if (importerId != null) {
+        conditions.push('importer_id = ?');
+        params.push(String(importerId));
+      }
+      if (billNumber) {
+        conditions.push('instr(lower(bill_number), ?) > 0');
+        params.push(String(billNumber).toLowerCase());
+      }
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      return parseRows(prepare(`SELECT doc FROM declarations ${where} ORDER BY position`).all(...params));
+    },
+    async exporters({ importerId } = {}) {
+      return parseRows(prepare('SELECT doc FROM exporters WHERE importer_id = ? ORDER BY position').all(String(importerId)));
+    },
+    async tariff(code, scheduleId = null) {
+      const row = prepare('SELECT doc FROM tariffs WHERE schedule_id = ? AND code = ? ORDER BY position LIMIT 1')
+        .get(scheduleId == null ? BASE_TARIFFS : String(scheduleId), String(code));
+      return row ? JSON.parse(row.doc) : null;
+    }
+  };
+
+  /**
+   * Persist the given stores together, in a single transaction.
+   */
+  async function commit(...stores) {
+    refresh();
+    const writes = [];
+    const applied = [];
+
+    stores.forEach(store => {
+      if (store !== db && store !== usersDb) throw new Error('Unknown store passed to commit().');
+      const data = store.data || {};
+      Object.entries(COLLECTIONS[store.name]).forEach(([name, spec]) => {
+        if (isUnread(data, name)) return;
+        applied.push(diffCollection(spec, data[name] || [], writes));
+      });
+      if (store === db) applied.push(diffTariffs(data, writes));
+      applied.push(diffDocuments(store.name, data, writes));
+    });
+
+    sqlite.transaction(() => writes.forEach(write => write()))();
+    applied.forEach(apply => apply());
+  }
+
+  await db.read();
+  await usersDb.read();
+
+  return {
+    backend: 'sqlite',
+    db,
+    usersDb,
+    run,
+    commit,
+    find,
+    close: async () => sqlite.close()
+  };
+}
@@ -0,0 +1,51 @@
+import { openLowdbStorage } from './lowdbStorage.js';
+
+/**
+ * Storage backends for declarations, exporters, users, tariffs and master bills.
+ *
+ * Every backend opens to the same interface:
+ * - `db` holds the collections and `usersDb` the users; each has `data` and `read()`, which
+ *   reloads `data` from storage and drops changes that were never committed. Tariff lists may
+ *   be shared between reads and frozen; change one by replacing the whole list
+ * - `commit(...stores)` persists the given stores together, all or nothing
+ * - `run(fn)` serializes access to the stores, one read-modify-commit at a time
+ * - `find` looks up committed data without loading whole collections where the backend can:
+ *   `declaration(id)`, `declarations({ importerId, billNumber })` (bill number as a
+ *   case-insensitive substring), `exporters({ importerId })` and `tariff(code, scheduleId)`
+ *   (the base table when `scheduleId` is null). On the JSON backend they read() `db` first,
+ *   so call them before changing `db.data`
+ * - `close()`
+ *
+ * STORAGE_BACKEND picks the backend: `lowdb` (db.json and users.json, the default) or
+ * `sqlite` (SQLITE_FILE, db.sqlite by default). `node migrateToSqlite.js` copies the JSON
+ * files into SQLite.
+ */
+// better-sqlite3 is an optional dependency: installs that skip or fail its native build still
+// run on the JSON backend
+async function openSqlite(options) {
+  let module;
+  try {
+    module = await import('./sqliteStorage.js');
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND' && String(error.message).includes('better-sqlite3')) {
+      throw new Error('The sqlite storage backend needs the better-sqlite3 package; run `npm install better-sqlite3`.');
+    }
+    throw error;
+  }
+  return module.openSqliteStorage(options);
+}
+
+export const STORAGE_BACKENDS = {
+  lowdb: openLowdbStorage,
+  // Loaded on demand so the JSON backend never needs the native SQLite module
+  sqlite: openSqlite
+};
+
+export function openStorage(options = {}) {
+  const backend = options.backend || process.env.STORAGE_BACKEND || 'lowdb';
+  const open = STORAGE_BACKENDS[backend];
+  if (!open) {
+    throw new Error(`Unknown storage backend "${backend}". Use one of: ${Object.keys(STORAGE_BACKENDS).join(', ')}.`);
+  }
+  return open({ file: process.env.SQLITE_FILE || undefined, ...options });
+}
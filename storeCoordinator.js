@@ -0,0 +1,101 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Serialized, crash-safe writes for the lowdb stores (db.json and users.json).
+ *
+ * - `run()` queues work so only one read-modify-commit touches the stores at a time;
+ *   without it one request's `db.read()` can replace data another is still changing.
+ * - `commit()` writes several stores as one unit: each file's new contents go to a temp file
+ *   and are fsynced, then a journal listing the renames is written, then the temp files are
+ *   renamed over the originals and the journal is removed.
+ * - `recover()` runs at startup: if a journal is present the crash happened mid-rename, so
+ *   the remaining renames are completed; leftover temp files without a journal belong to a
+ *   commit that never happened and are discarded.
+ */
+export function createStoreCoordinator(stores, { journalFile = '.commit-journal.json' } = {}) {
+  const { run } = createRequestQueue();
+
+  const fileFor = db => {
+    const store = stores.find(s => s.db === db);
+    if (!store) throw new Error('Unknown store passed to commit().');
+    return store.file;
+  };
+
+  const tempFileFor = file => path.join(path.dirname(file), `.${path.basename(file)}.commit.tmp`);
+
+  async function writeDurably(file, contents) {
+    const handle = await fs.promises.open(file, 'w');
+    try {
+      await handle.writeFile(contents);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Persist the given lowdb instances together.
+   */
+  async function commit(...dbs) {
+    const renames = dbs.map(db => {
+      const file = fileFor(db);
+      return { from: tempFileFor(file), to: file, data: db.data };
+    });
+
+    for (const { from, data } of renames) {
+      await writeDurably(from, JSON.stringify(data, null, 2));
+    }
+    await writeDurably(journalFile, JSON.stringify(renames.map(({ from, to }) => ({ from, to }))));
+
+    for (const { from, to } of renames) {
+      await fs.promises.rename(from, to);
+    }
+    await fs.promises.unlink(journalFile);
+  }
+
+  /**
+   * Finish or discard a commit interrupted by a crash.
+   */
+  function recover() {
+    if (fs.existsSync(journalFile)) {
+      let renames = null;
+      try {
+        renames = JSON.parse(fs.readFileSync(journalFile, 'utf-8'));
+      } catch (error) {
+        // A torn journal means the crash came before any rename: drop the commit
+        console.error('Discarding an incomplete commit journal:', error.message);
+      }
+      (renames || []).forEach(({ from, to }) => {
+        if (fs.existsSync(from)) fs.renameSync(from, to);
+      });
+      fs.unlinkSync(journalFile);
+      if (renames) console.log('Completed an interrupted commit from the journal.');
+    }
+
+    stores.forEach(({ file }) => {
+      const temp = tempFileFor(file);
+      if (fs.existsSync(temp)) fs.unlinkSync(temp);
+    });
+  }
+
+  return { run, commit, recover };
+}
+
+/**
+ * One-at-a-time access to a store, shared by every storage backend.
+ */
+export function createRequestQueue() {
+  let queue = Promise.resolve();
+
+  /**
+   * Run `fn` once every earlier queued task has finished.
+   */
+  function run(fn) {
+    const result = queue.then(() => fn());
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  return { run };
+}
@@ -0,0 +1,137 @@
+/**
+ * Versioned tariff schedules.
+ *
+ * Each schedule is a named copy of the tariff table with an effective-from date and an
+ * optional effective-to date, stored in `db.data.tariffSchedules`. The schedule in force
+ * on a date is the one with the latest effective-from on or before it that has not yet
+ * ended. When no schedule covers a date, the legacy `db.data.tariffs` table is used.
+ *
+ * Schedules are added in date order: a new schedule must start after every existing one and
+ * after the end of any that has an effective-to date. A schedule without an effective-to date
+ * runs until the next one starts.
+ */
+
+const todayIso = () => new Date().toISOString().split('T')[0];
+
+// Normalise "2025-01-31", "2025-01-31T10:00:00Z" or a Date to a YYYY-MM-DD string
+export function toIsoDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Map a tariffs.csv row to a stored tariff definition.
+ */
+export function tariffFromCsvRow(row) {
+  return {
+    id: Number(row.id), // keep the CSV id so Parent ID references resolve
+    code: String(row.code ?? '').trim(),
+    description: row.description,
+    duty: row.duty,
+    dutyMethod: row['Duty Method'],
+    unit: row.unit,
+    parentId: Number(row['Parent ID']) || null,
+    depth: Number(row.Depth)
+  };
+}
+
+/**
+ * Why a schedule starting on `effectiveFrom` cannot be added, or null when it can.
+ */
+export function checkScheduleStart(schedules, effectiveFrom) {
+  const existing = schedules || [];
+  const sameOrLater = existing.find(s => s.effectiveFrom >= effectiveFrom);
+  if (sameOrLater) {
+    return sameOrLater.effectiveFrom === effectiveFrom
+      ? `A tariff schedule effective from ${effectiveFrom} already exists.`
+      : `A tariff schedule effective from ${sameOrLater.effectiveFrom} already exists; schedules must be added in date order.`;
+  }
+  const overlapping = existing.find(s => s.effectiveTo && s.effectiveTo >= effectiveFrom);
+  if (overlapping) {
+    return `The tariff schedule effective from ${overlapping.effectiveFrom} runs until ${overlapping.effectiveTo}; a new schedule must start after that.`;
+  }
+  return null;
+}
+
+/**
+ * Find the schedule in force on a date (defaults to today).
+ */
+export function resolveSchedule(schedules, date) {
+  const day = toIsoDate(date) || todayIso();
+  return (schedules || [])
+    .filter(s => s.effectiveFrom <= day && (!s.effectiveTo || s.effectiveTo >= day))
+    .sort((a, b) => (a.effectiveFrom < b.effectiveFrom ? 1 : -1))[0] || null;
+}
+
+/**
+ * Return the tariff rows that apply on a date.
+ */
+export function tariffsForDate(data, date) {
+  const schedule = resolveSchedule(data.tariffSchedules, date);
+  return schedule ? schedule.tariffs : (data.tariffs || []);
+}
+
+/**
+ * The date a declaration's tariffs are resolved on: its own arrival date if it has one,
+ * otherwise the arrival date of the master bill it is shipped under.
+ */
+export function declarationTariffDate(declaration, masterBill) {
+  return declaration?.arrivalDate
+    || declaration?.consignment?.arrivalDate
+    || masterBill?.consignment?.arrivalDate
+    || null;
+}
+
+/**
+ * Schedule metadata without the (large) tariff list.
+ */
+export function scheduleSummary(schedule) {
+  const { tariffs, ...meta } = schedule;
+  return { ...meta, tariffCount: (tariffs || []).length };
+}
+
+/**
+ * Compare two schedules by tariff code. Heading rows ("------", "0101--") are skipped since
+ * their codes are not unique. A code is re-rated when its duty, duty method or unit changed.
+ */
+export function diffSchedules(fromTariffs, toTariffs) {
+  const byCode = tariffs => {
+    const map = new Map();
+    (tariffs || []).forEach(t => {
+      const code = String(t.code || '');
+      if (code && !code.includes('-') && !map.has(code)) map.set(code, t);
+    });
+    return map;
+  };
+
+  const before = byCode(fromTariffs);
+  const after = byCode(toTariffs);
+  const added = [];
+  const removed = [];
+  const rerated = [];
+
+  after.forEach((tariff, code) => {
+    const previous = before.get(code);
+    if (!previous) {
+      added.push(tariff);
+      return;
+    }
+    const changes = {};
+    ['duty', 'dutyMethod', 'unit'].forEach(field => {
+      if ((previous[field] ?? '') !== (tariff[field] ?? '')) {
+        changes[field] = { from: previous[field] ?? null, to: tariff[field] ?? null };
+      }
+    });
+    if (Object.keys(changes).length > 0) {
+      rerated.push({ code, description: tariff.description, changes });
+    }
+  });
+
+  before.forEach((tariff, code) => {
+    if (!after.has(code)) removed.push(tariff);
+  });
+
+  return { added, removed, rerated };
+}
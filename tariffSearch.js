@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+
+/**
+ * In-memory search index over the tariff table: code prefix lookup on a sorted code list
+ * and an inverted index of description words for free-text matching.
+ */
+
+const tokenize = text => String(text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+// Lowest index in the sorted array whose key is >= target
+function lowerBound(sorted, target, key = v => v) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (key(sorted[mid]) < target) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Content hash of the rows, so a re-rated or re-described tariff rebuilds the index even when
+// the ids and count stay the same. `source` names where the rows came from (e.g. a schedule id).
+function signatureOf(tariffs, source = '') {
+  return crypto
+    .createHash('sha1')
+    .update(String(source))
+    .update('\0')
+    .update(JSON.stringify(tariffs || []))
+    .digest('hex');
+}
+
+/**
+ * Build the search index for a list of tariffs.
+ */
+export function buildTariffIndex(tariffs, source) {
+  const list = tariffs || [];
+  const parentIds = new Set(list.filter(t => t.parentId).map(t => String(t.parentId)));
+
+  const entries = list.map((tariff, idx) => {
+    const code = String(tariff.code || '');
+    return {
+      idx,
+      tariff,
+      code,
+      tokens: tokenize(tariff.description),
+      // Heading rows ("------", "0101--") are never leaves, even without tree data
+      isLeaf: !code.includes('-') && !parentIds.has(String(tariff.id))
+    };
+  });
+
+  const postings = new Map();
+  entries.forEach(entry => {
+    entry.tokens.forEach(token => {
+      if (!postings.has(token)) postings.set(token, new Set());
+      postings.get(token).add(entry.idx);
+    });
+  });
+
+  return {
+    signature: signatureOf(list, source),
+    entries,
+    byCode: [...entries].sort((a, b) => (a.code < b.code ? -1 : a.code > b.code ? 1 : 0)),
+    postings,
+    vocabulary: [...postings.keys()].sort()
+  };
+}
+
+/**
+ * Return the cached index if the tariff table has not changed, otherwise rebuild it.
+ */
+export function ensureTariffIndex(index, tariffs, source) {
+  if (index && index.signature === signatureOf(tariffs, source)) return index;
+  return buildTariffIndex(tariffs, source);
+}
+
+// Entry indexes whose description has a word starting with the term, split by exact/prefix hits
+function matchTerm(index, term) {
+  const exact = index.postings.get(term) || new Set();
+  const prefix = new Set();
+  for (let i = lowerBound(index.vocabulary, term); i < index.vocabulary.length; i++) {
+    const word = index.vocabulary[i];
+    if (!word.startsWith(term)) break;
+    if (word === term) continue;
+    index.postings.get(word).forEach(idx => prefix.add(idx));
+  }
+  return { exact, prefix };
+}
+
+/**
+ * Search the index by code prefix and/or description terms, ranked and paginated.
+ *
+ * Ranking favours exact code matches, then description words matched exactly over
+ * word prefixes, then leaf codes, then shorter codes, then code order.
+ */
+export function searchTariffs(index, { code, q, leafOnly = false, page = 1, pageSize = 20 } = {}) {
+  const codePrefix = String(code || '').trim();
+  const terms = tokenize(q);
+
+  let candidates;
+  if (codePrefix) {
+    candidates = [];
+    for (let i = lowerBound(index.byCode, codePrefix, e => e.code); i < index.byCode.length; i++) {
+      const entry = index.byCode[i];
+      if (!entry.code.startsWith(codePrefix)) break;
+      candidates.push(entry);
+    }
+  } else if (terms.length > 0) {
+    candidates = index.entries;
+  } else {
+    candidates = [];
+  }
+
+  const termMatches = terms.map(term => matchTerm(index, term));
+
+  const scored = [];
+  candidates.forEach(entry => {
+    if (leafOnly && !entry.isLeaf) return;
+
+    let score = 0;
+    for (const { exact, prefix } of termMatches) {
+      if (exact.has(entry.idx)) score += 2;
+      else if (prefix.has(entry.idx)) score += 1;
+      else return; // every term must match
+    }
+    if (codePrefix && entry.code === codePrefix) score += 10;
+    if (entry.isLeaf) score += 0.5;
+
+    scored.push({ entry, score });
+  });
+
+  scored.sort((a, b) =>
+    b.score - a.score ||
+    a.entry.code.length - b.entry.code.length ||
+    (a.entry.code < b.entry.code ? -1 : a.entry.code > b.entry.code ? 1 : 0)
+  );
+
+  const start = (page - 1) * pageSize;
+  return {
+    results: scored.slice(start, start + pageSize).map(({ entry, score }) => ({
+      ...entry.tariff,
+      isLeaf: entry.isLeaf,
+      score
+    })),
+    total: scored.length,
+    page,
+    pageSize
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * Chapter → heading → subheading tree built from the `parentId` and `depth` columns
+ * kept by importTariff.js. Top-level rows have no parent (Parent ID 0 in tariffs.csv).
+ */
+
+/**
+ * Index tariffs by id and by parent so the tree can be walked in either direction.
+ */
+export function buildTariffTree(tariffs) {
+  const byId = new Map();
+  const children = new Map();
+  const roots = [];
+
+  (tariffs || []).forEach(tariff => {
+    byId.set(String(tariff.id), tariff);
+  });
+
+  (tariffs || []).forEach(tariff => {
+    const parentKey = tariff.parentId ? String(tariff.parentId) : null;
+    if (!parentKey || !byId.has(parentKey)) {
+      roots.push(tariff);
+      return;
+    }
+    if (!children.has(parentKey)) children.set(parentKey, []);
+    children.get(parentKey).push(tariff);
+  });
+
+  return { byId, children, roots };
+}
+
+/**
+ * Shape a tariff row for the browsing endpoints, flagging whether it can be drilled into.
+ */
+export function toTreeNode(tree, tariff) {
+  const childCount = (tree.children.get(String(tariff.id)) || []).length;
+  return {
+    ...tariff,
+    childCount,
+    isLeaf: childCount === 0
+  };
+}
+
+export function getChildren(tree, id) {
+  return tree.children.get(String(id)) || [];
+}
+
+/**
+ * Return the chain of nodes from the top of the tree down to (and including) the given node.
+ */
+export function getAncestorPath(tree, tariff) {
+  const path = [];
+  const seen = new Set();
+  let current = tariff;
+
+  while (current && !seen.has(String(current.id))) {
+    seen.add(String(current.id));
+    path.unshift(current);
+    current = current.parentId ? tree.byId.get(String(current.parentId)) : null;
+  }
+
+  return path;
+}
@@ -0,0 +1,42 @@
+/**
+ * Canonical transport modes.
+ *
+ * Declarations, CSV uploads and master bills name modes in different ways ("OCEAN", "Sea",
+ * "air freight"); every spelling in `aliases` resolves to the mode's code, which is what is
+ * stored, filtered on and written to the SADEntry file. Each mode also carries the discharge
+ * port used when the master bill does not name one.
+ */
+export const TRANSPORT_MODES = [
+  { code: 'AIR', label: 'Air', aliases: ['AIR', 'AIRFREIGHT', 'AIR FREIGHT', 'A'], dischargePort: 'KYGCM' },
+  { code: 'SEA', label: 'Sea', aliases: ['SEA', 'OCEAN', 'SEA FREIGHT', 'OCEAN FREIGHT', 'VESSEL', 'S'], dischargePort: 'KYGEC' },
+  { code: 'ROAD', label: 'Road', aliases: ['ROAD', 'TRUCK', 'LAND', 'R'], dischargePort: 'KYGEC' },
+  { code: 'POST', label: 'Post', aliases: ['POST', 'POSTAL', 'MAIL', 'P'], dischargePort: 'KYGCM' },
+  { code: 'COURIER', label: 'Courier', aliases: ['COURIER', 'EXPRESS', 'C'], dischargePort: 'KYGCM' }
+];
+
+// Discharge port for a mode nobody recognises (what every non-sea shipment got before)
+export const FALLBACK_DISCHARGE_PORT = 'KYGCM';
+
+const byAlias = new Map(
+  TRANSPORT_MODES.flatMap(mode => mode.aliases.map(alias => [alias, mode]))
+);
+
+/**
+ * The mode for any accepted spelling, or null when it is not recognised.
+ */
+export function findTransportMode(value) {
+  if (value === undefined || value === null) return null;
+  const alias = String(value).trim().toUpperCase().replace(/[\s_-]+/g, ' ');
+  return byAlias.get(alias) || null;
+}
+
+/**
+ * The canonical code for any accepted spelling, or null when it is not recognised.
+ */
+export function normalizeTransportMode(value) {
+  return findTransportMode(value)?.code || null;
+}
+
+export function dischargePortFor(value) {
+  return findTransportMode(value)?.dischargePort || FALLBACK_DISCHARGE_PORT;
+}
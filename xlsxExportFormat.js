@@ -0,0 +1,115 @@
+import ExcelJS from 'exceljs';
+
+/**
+ * XLSX workbook: a "Master bill" sheet listing the house bills, then one sheet per house bill
+ * with its details and items.
+ */
+
+const ITEM_COLUMNS = [
+  { header: 'Code', key: 'code', width: 14 },
+  { header: 'Description', key: 'desc', width: 40 },
+  { header: 'Qty', key: 'qty', width: 10 },
+  { header: 'Qty unit', key: 'qtyUnit', width: 10 },
+  { header: 'Cost', key: 'cost', width: 12 },
+  { header: 'Freight', key: 'freight', width: 12 },
+  { header: 'Insurance', key: 'insurance', width: 12 },
+  { header: 'Invoice', key: 'invNumber', width: 16 },
+  { header: 'Procedure', key: 'procedureCode', width: 10 }
+];
+
+// Excel sheet names are at most 31 characters, cannot contain []:*?/\ and must be unique
+function sheetName(billNumber, index, used) {
+  const base = (String(billNumber || '').replace(/[[\]:*?/\\]/g, '-').trim() || `House ${index + 1}`).slice(0, 31);
+  let name = base;
+  for (let n = 2; used.has(name.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    name = `${base.slice(0, 31 - suffix.length)}${suffix}`;
+  }
+  used.add(name.toLowerCase());
+  return name;
+}
+
+function addDetails(sheet, rows) {
+  rows.forEach(([label, value]) => {
+    const row = sheet.addRow([label, value ?? '']);
+    row.getCell(1).font = { bold: true };
+  });
+}
+
+function addMasterBillSheet(workbook, masterBill, declarations, profile) {
+  const sheet = workbook.addWorksheet('Master bill');
+  sheet.columns = [{ width: 22 }, { width: 24 }, { width: 24 }, { width: 14 }, { width: 12 }, { width: 12 }];
+  addDetails(sheet, [
+    ['Bill number', masterBill.shipment?.billNumber],
+    ['Broker', profile?.name],
+    ['Transport mode', masterBill.consignment?.transportMode],
+    ['Departure date', masterBill.consignment?.departureDate],
+    ['Arrival date', masterBill.consignment?.arrivalDate],
+    ['Packages', masterBill.packages?.pkgCount],
+    ['Package type', masterBill.packages?.pkgType],
+    ['Gross weight', masterBill.packages?.grossWt],
+    ['Containers', (masterBill.containers || []).map(c => c.containerNumber).filter(Boolean).join(', ')]
+  ]);
+
+  sheet.addRow([]);
+  const header = sheet.addRow(['House bill', 'Importer', 'Exporter', 'Packages', 'Gross weight', 'Net cost']);
+  header.font = { bold: true };
+  declarations.forEach(declaration => {
+    sheet.addRow([
+      declaration.billNumber,
+      declaration.importer?.name || declaration.importer?.number,
+      declaration.exporter?.name,
+      declaration.packages?.pkgCount,
+      declaration.packages?.grossWt,
+      declaration.valuation?.netCost
+    ]);
+  });
+}
+
+function addHouseBillSheet(workbook, declaration, name) {
+  const sheet = workbook.addWorksheet(name);
+  addDetails(sheet, [
+    ['Bill number', declaration.billNumber],
+    ['Importer number', declaration.importer?.number],
+    ['Importer', declaration.importer?.name],
+    ['Exporter', declaration.exporter?.name],
+    ['Packages', declaration.packages?.pkgCount],
+    ['Package type', declaration.packages?.pkgType],
+    ['Gross weight', declaration.packages?.grossWt],
+    ['Contents', declaration.packages?.contents],
+    ['Net cost', declaration.valuation?.netCost],
+    ['Net freight', declaration.valuation?.netFreight],
+    ['Net insurance', declaration.valuation?.netInsurance]
+  ]);
+
+  sheet.addRow([]);
+  const header = sheet.addRow(ITEM_COLUMNS.map(c => c.header));
+  header.font = { bold: true };
+  (declaration.items || []).forEach(item => {
+    sheet.addRow(ITEM_COLUMNS.map(c => item[c.key] ?? ''));
+  });
+  ITEM_COLUMNS.forEach((column, index) => {
+    sheet.getColumn(index + 1).width = column.width;
+  });
+}
+
+export const xlsxExportFormat = {
+  name: 'xlsx',
+  label: 'XLSX workbook',
+  contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  fileName: 'manifest.xlsx',
+
+  async render({ declarations, masterBill, profile, generatedAt }) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date(generatedAt);
+    workbook.modified = workbook.created;
+
+    addMasterBillSheet(workbook, masterBill, declarations, profile);
+    const used = new Set(['master bill']);
+    declarations.forEach((declaration, index) => {
+      addHouseBillSheet(workbook, declaration, sheetName(declaration.billNumber, index, used));
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+};